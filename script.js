@@ -8,8 +8,30 @@
  * - Schedule visualization with time blocks (multi-hour spanning)
  * - Conflict detection
  * - LocalStorage persistence
- * - PDF export (with Persian support via image capture)
+ * - Vector PDF export with weekly grid and embedded Persian font
  * - Copy to clipboard
+ * - Automatic conflict-free schedule generation
+ * - Preference-weighted schedule scoring
+ * - Catalog import from TXT, CSV, TSV and JSON files
+ * - iCalendar (.ics) export with Jalali semester dates
+ * - Shareable schedule links
+ * - Multiple named schedule drafts with comparison
+ * - Prerequisite and corequisite checks
+ * - Unit limit policies based on academic standing
+ * - Final exam schedule with exam conflict detection
+ * - Odd/even-week (فرد/زوج) alternating sessions
+ * - Persian-aware fuzzy search with filter facets
+ * - Keyboard navigation and screen reader support
+ * - Undo/redo history for schedule edits
+ * - Drag-and-drop section swapping on the grid
+ * - Lane layout for overlapping and sub-hour sessions
+ * - Installable offline app with a cached course catalog
+ * - Catalog change report for saved selections
+ * - Student busy blocks (work, commute) on the grid
+ * - Professor directory with per-instructor weekly view
+ * - Section capacity badges and backup sections
+ * - Jalali semester calendar with holidays and meeting counts
+ * - Schedule statistics dashboard with live charts
  */
 
 // ═══════════════════════════════════════════════════════════════
@@ -24,19 +46,169 @@ const CONFIG = {
     
     // Data source
     COURSES_FILE: 'data/courses.txt',
+    SERVICE_WORKER_FILE: 'sw.js',
+    FROM_CACHE_HEADER: 'X-Served-From-Cache', // Set by the service worker on offline copies
     
-    // LocalStorage key
-    STORAGE_KEY: 'university_scheduler_selected_courses',
+    // LocalStorage keys
+    STORAGE_KEY: 'university_scheduler_selected_courses', // Legacy single selection, migrated into drafts
+    DRAFTS_STORAGE_KEY: 'university_scheduler_drafts',
+    HISTORY_STORAGE_KEY: 'university_scheduler_history',
+    CATALOG_STORAGE_KEY: 'university_scheduler_catalog', // Last course file loaded from the network
+    IMPORTED_CATALOG_STORAGE_KEY: 'university_scheduler_imported_catalog', // Imported catalog, used instead of the network file
+    SNAPSHOTS_STORAGE_KEY: 'university_scheduler_snapshots',
+    STUDENT_STORAGE_KEY: 'university_scheduler_student',
+    
+    // PDF export: fonts embedded so Persian text stays selectable
+    PDF_FONTS: {
+        normal: 'fonts/Vazirmatn-Regular.ttf',
+        bold: 'fonts/Vazirmatn-Bold.ttf'
+    },
+    PDF_MARGIN: 12, // mm
+    
+    // Sections with this many free seats or fewer get a warning badge
+    LOW_SEATS_THRESHOLD: 5,
+    
+    // Busy blocks: the student's own time outside classes
+    BUSY_DEFAULT_NAME: 'مشغول',
+    BUSY_COLOR: '#6b7280',
+    
+    // Undo/redo entries kept across reloads
+    HISTORY_LIMIT: 50,
     
     // Schedule settings
     DAYS: ['شنبه', 'یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه'],
-    HOURS: Array.from({ length: 14 }, (_, i) => i + 7), // 7 to 20
+    HOURS: Array.from({ length: 14 }, (_, i) => i + 7), // 7 to 20 (grows to fit earlier/later sessions)
+    TIME_STEP_MINUTES: 15,     // Block positions snap to this step
+    LANE_MIN_HEIGHT: 35,       // Pixels per lane when overlapping sessions stack in a row
     
     // Search settings
     INITIAL_COURSE_COUNT: 10,
+    SEARCH_FIELD_WEIGHTS: { name: 3, code: 3, professor: 2 },
     
     // Toast duration
-    TOAST_DURATION: 3000
+    TOAST_DURATION: 3000,
+    
+    // Schedule generator - best-ranked combinations kept for preview, and the sections tried
+    // before the search stops so a large selection cannot freeze the page
+    GENERATOR_MAX_RESULTS: 500,
+    GENERATOR_MAX_NODES: 200000,
+    
+    // Prerequisites: 'warn' asks before adding, 'block' refuses the course
+    PREREQUISITE_MODE: 'warn',
+    PASSED_STORAGE_KEY: 'university_scheduler_passed_courses',
+    
+    // Unit limits per academic standing; plain numbers the standing modal can override
+    STANDING_STORAGE_KEY: 'university_scheduler_standing',
+    UNIT_LIMITS_STORAGE_KEY: 'university_scheduler_unit_limits',
+    DEFAULT_UNIT_LIMITS: {
+        min: 12,           // Minimum units for every standing
+        max: 20,           // Maximum for a normal standing
+        honorsGpa: 17,     // Previous-term GPA from which the honors maximum applies
+        honorsMax: 24,     // Maximum with a high GPA
+        probationMax: 14   // Maximum on academic probation
+    },
+    
+    // URL hash key carrying a shared selection (#share=...)
+    SHARE_HASH_KEY: 'share',
+    
+    // Semester dates used by calendar export
+    SEMESTER_STORAGE_KEY: 'university_scheduler_semester',
+    
+    // iCalendar export (Iran has no DST, fixed +03:30)
+    ICS_TIMEZONE: 'Asia/Tehran',
+    ICS_UTC_OFFSET_MINUTES: 210,
+
+    // Semester calendar month view
+    JALALI_MONTHS: [
+        'فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور',
+        'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'
+    ],
+    MIDTERM_BREAK_LABEL: 'تعطیلات میان‌ترم',
+
+    // Official holidays on the solar calendar (Jalali month/day)
+    SOLAR_HOLIDAYS: {
+        '1/1': 'نوروز',
+        '1/2': 'نوروز',
+        '1/3': 'نوروز',
+        '1/4': 'نوروز',
+        '1/12': 'روز جمهوری اسلامی',
+        '1/13': 'روز طبیعت',
+        '3/14': 'رحلت امام خمینی',
+        '3/15': 'قیام ۱۵ خرداد',
+        '11/22': 'پیروزی انقلاب اسلامی',
+        '12/29': 'ملی شدن صنعت نفت'
+    },
+
+    // Official holidays on the lunar calendar (Hijri month/day, 2/30 = last day of Safar).
+    // Dates come from the tabular Islamic calendar and may be a day off the announced
+    // ones; students can correct single days in the month view.
+    HIJRI_DAY_OFFSET: 0, // Days to shift the tabular calendar by to follow an announced month start
+    LUNAR_HOLIDAYS: {
+        '1/9': 'تاسوعا',
+        '1/10': 'عاشورا',
+        '2/20': 'اربعین',
+        '2/28': 'رحلت پیامبر و شهادت امام حسن',
+        '2/30': 'شهادت امام رضا',
+        '3/8': 'شهادت امام حسن عسکری',
+        '3/17': 'میلاد پیامبر و امام صادق',
+        '6/3': 'شهادت حضرت فاطمه',
+        '7/13': 'ولادت امام علی',
+        '7/27': 'مبعث',
+        '8/15': 'ولادت امام زمان',
+        '9/21': 'شهادت امام علی',
+        '10/1': 'عید فطر',
+        '10/2': 'عید فطر',
+        '10/25': 'شهادت امام صادق',
+        '12/10': 'عید قربان',
+        '12/18': 'عید غدیر'
+    },
+
+    // Alternating session labels (week 1 of the semester is odd)
+    WEEK_PARITY: {
+        odd: 'فرد',
+        even: 'زوج'
+    },
+    
+    // JavaScript getDay() index of each Persian weekday
+    WEEKDAY_INDEX: {
+        'شنبه': 6,
+        'یکشنبه': 0,
+        'دوشنبه': 1,
+        'سه‌شنبه': 2,
+        'چهارشنبه': 3,
+        'پنجشنبه': 4
+    },
+    
+    // Preference scoring
+    PREFERENCES_STORAGE_KEY: 'university_scheduler_preferences',
+    MAX_GAP_HOURS_PER_DAY: 4, // Idle hours per campus day that score zero
+    DEFAULT_PREFERENCES: {
+        freeDays: [],              // Days the student wants to keep free
+        earliestStart: 8,          // No class should start before this hour
+        preferredProfessors: [],   // Professors the student prefers
+        weights: {
+            freeDays: 3,
+            earlyStart: 2,
+            campusDays: 2,
+            gaps: 1,
+            professors: 2
+        }
+    },
+    
+    // Statistics dashboard
+    BACK_TO_BACK_MINUTES: 15,  // Breaks up to this long still count as back-to-back
+    LONG_STREAK_HOURS: 4,      // Back-to-back runs this long are flagged
+    CODE_PREFIX_LENGTH: 3,     // Leading code digits that identify the offering department
+    STATS_COLORS: ['#2563eb', '#16a34a', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d']
+};
+
+// Labels for each scoring criterion (shown in settings and breakdown)
+const SCORE_CRITERIA = {
+    freeDays: 'روزهای آزاد',
+    earlyStart: 'شروع دیرتر',
+    campusDays: 'روزهای حضور کمتر',
+    gaps: 'فاصله کمتر بین کلاس‌ها',
+    professors: 'اساتید ترجیحی'
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -45,9 +217,57 @@ const CONFIG = {
 
 const state = {
     courses: [],           // All available courses
-    selectedCourses: [],   // Currently selected course IDs
+    selectedCourses: [],   // Currently selected course IDs (of the active draft)
+    drafts: [],            // Named schedule drafts: { id, name, courses, backups: { [code]: [courseId] } }
+    busyBlocks: [],        // Student's own busy times: { id, name, schedule }, shared by all drafts
+    editingBusyId: null,   // Busy block open in the editor (null for a new one)
+    activeProfessor: null, // Instructor shown in the professor directory
+    passedCourses: [],     // Course codes the student has already passed
+    standing: { gpa: null, probation: false }, // Academic standing used by unit policies
+    unitLimits: { ...CONFIG.DEFAULT_UNIT_LIMITS }, // Unit policy thresholds in effect
+    activeDraftId: null,   // Draft currently edited and rendered
+    history: { undo: [], redo: [], paused: false }, // Selection snapshots for undo/redo
+    gridHours: [],         // Hour columns currently drawn in the grid
+    catalogUpdatedAt: null, // When the current catalog was loaded (ms)
+    catalogFromCache: false, // Catalog is the saved copy because the network failed
+    courseSnapshots: {},   // Selected courses as they were when added: { [courseId]: snapshot }
+    student: { name: '', id: '' }, // Optional PDF header details
     searchQuery: '',       // Current search query
-    currentModalCourse: null // Course currently shown in modal
+    filters: {             // Search facets
+        days: [],          // Course meets on any of these days
+        from: null,        // All sessions start at or after this hour
+        to: null,          // All sessions end at or before this hour
+        units: '',
+        professor: '',
+        fitsOnly: false    // Only courses that fit the current schedule
+    },
+    activeResultIndex: -1, // Keyboard-highlighted search result
+    gridFocus: null,       // { day, hour } of the grid cell holding the roving tab stop
+    modalReturnFocus: null, // Element focused before a modal opened
+    currentModalCourse: null, // Course currently shown in modal
+    scheduleView: 'weekly', // Grid shown in the schedule section: 'weekly' or 'exams'
+    preferences: structuredClone(CONFIG.DEFAULT_PREFERENCES), // Scoring preferences
+    parseIssues: [],       // Validation report of the loaded course file
+    catalogSource: CONFIG.COURSES_FILE, // Name of the file the catalog came from
+    importDraft: null,     // Tabular file waiting for column mapping
+    semester: {            // Semester calendar as entered by the user
+        start: '',
+        end: '',
+        midtermStart: '',
+        midtermEnd: '',
+        overrides: {}      // 'YYYY-MM-DD' -> true (extra holiday) or false (class held)
+    },
+    calendarMonth: null,   // [jy, jm] shown in the semester month view
+    statsGroupBy: 'prefix', // Unit share grouping in the statistics dashboard: 'prefix' or 'department'
+    sharedView: null,      // Read-only schedule opened from a share link: { ids, missing }
+    
+    // Schedule generator
+    generator: {
+        codes: [],         // Course codes picked for generation
+        results: [],       // Ranked conflict-free combinations (arrays of course IDs), kept sections included
+        index: 0,          // Candidate currently previewed in the grid
+        active: false      // Whether the grid is showing a candidate instead of the selection
+    }
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -61,22 +281,73 @@ const elements = {
     searchResults: document.getElementById('searchResults'),
     resultsCount: document.getElementById('resultsCount'),
     resultsList: document.getElementById('resultsList'),
+    btnToggleFilters: document.getElementById('btnToggleFilters'),
+    searchFilters: document.getElementById('searchFilters'),
     
     // Summary
     selectedCount: document.getElementById('selectedCount'),
     totalUnits: document.getElementById('totalUnits'),
+    unitStatus: document.getElementById('unitStatus'),
+    scheduleScore: document.getElementById('scheduleScore'),
+    scoreBreakdown: document.getElementById('scoreBreakdown'),
+    btnPreferences: document.getElementById('btnPreferences'),
     
     // Controls
     btnViewList: document.getElementById('btnViewList'),
     btnCopyTable: document.getElementById('btnCopyTable'),
     btnExportPDF: document.getElementById('btnExportPDF'),
+    btnExportICS: document.getElementById('btnExportICS'),
     btnReset: document.getElementById('btnReset'),
+    btnGenerate: document.getElementById('btnGenerate'),
+    btnShare: document.getElementById('btnShare'),
+    btnPassedCourses: document.getElementById('btnPassedCourses'),
+    btnImport: document.getElementById('btnImport'),
     
     // Schedule
     scheduleBody: document.getElementById('scheduleBody'),
     scheduleTable: document.getElementById('scheduleTable'),
     scheduleContainer: document.getElementById('scheduleContainer'),
     
+    // Diagnostics
+    diagnosticsPanel: document.getElementById('diagnosticsPanel'),
+    diagnosticsTitle: document.getElementById('diagnosticsTitle'),
+    diagnosticsList: document.getElementById('diagnosticsList'),
+    btnCloseDiagnostics: document.getElementById('btnCloseDiagnostics'),
+    
+    // Schedule views
+    btnViewWeekly: document.getElementById('btnViewWeekly'),
+    btnViewExams: document.getElementById('btnViewExams'),
+    tableWrapper: document.getElementById('tableWrapper'),
+    examCalendar: document.getElementById('examCalendar'),
+    
+    // Statistics dashboard
+    statsPanel: document.getElementById('statsPanel'),
+    statsGroupBy: document.getElementById('statsGroupBy'),
+    statsBody: document.getElementById('statsBody'),
+    
+    // Drafts
+    draftTabs: document.getElementById('draftTabs'),
+    btnNewDraft: document.getElementById('btnNewDraft'),
+    btnRenameDraft: document.getElementById('btnRenameDraft'),
+    btnDuplicateDraft: document.getElementById('btnDuplicateDraft'),
+    btnDeleteDraft: document.getElementById('btnDeleteDraft'),
+    btnCompareDrafts: document.getElementById('btnCompareDrafts'),
+    
+    // Shared view banner
+    sharedBanner: document.getElementById('sharedBanner'),
+    sharedInfo: document.getElementById('sharedInfo'),
+    sharedWarning: document.getElementById('sharedWarning'),
+    btnImportShared: document.getElementById('btnImportShared'),
+    btnCloseShared: document.getElementById('btnCloseShared'),
+    
+    // Generator preview bar
+    generatorBar: document.getElementById('generatorBar'),
+    generatorLabel: document.getElementById('generatorLabel'),
+    btnGeneratorPrev: document.getElementById('btnGeneratorPrev'),
+    btnGeneratorNext: document.getElementById('btnGeneratorNext'),
+    btnGeneratorApply: document.getElementById('btnGeneratorApply'),
+    btnGeneratorCancel: document.getElementById('btnGeneratorCancel'),
+    
     // Theme
     themeToggle: document.getElementById('themeToggle'),
     
@@ -98,11 +369,107 @@ const elements = {
     
     conflictModal: document.getElementById('conflictModal'),
     conflictMessage: document.getElementById('conflictMessage'),
+    conflictSuggestions: document.getElementById('conflictSuggestions'),
     closeConflictModal: document.getElementById('closeConflictModal'),
     btnCloseConflictModal: document.getElementById('btnCloseConflictModal'),
     
+    generatorModal: document.getElementById('generatorModal'),
+    generatorCodeList: document.getElementById('generatorCodeList'),
+    closeGeneratorModal: document.getElementById('closeGeneratorModal'),
+    btnCloseGeneratorModal: document.getElementById('btnCloseGeneratorModal'),
+    btnRunGenerator: document.getElementById('btnRunGenerator'),
+    
+    importModal: document.getElementById('importModal'),
+    importDropZone: document.getElementById('importDropZone'),
+    importFileInput: document.getElementById('importFileInput'),
+    importMapping: document.getElementById('importMapping'),
+    closeImportModal: document.getElementById('closeImportModal'),
+    btnCloseImportModal: document.getElementById('btnCloseImportModal'),
+    btnConfirmImport: document.getElementById('btnConfirmImport'),
+    btnResetCatalog: document.getElementById('btnResetCatalog'),
+    
+    semesterModal: document.getElementById('semesterModal'),
+    semesterStart: document.getElementById('semesterStart'),
+    semesterEnd: document.getElementById('semesterEnd'),
+    midtermStart: document.getElementById('midtermStart'),
+    midtermEnd: document.getElementById('midtermEnd'),
+    semesterMeetings: document.getElementById('semesterMeetings'),
+    semesterMonth: document.getElementById('semesterMonth'),
+    closeSemesterModal: document.getElementById('closeSemesterModal'),
+    btnCloseSemesterModal: document.getElementById('btnCloseSemesterModal'),
+    btnDownloadICS: document.getElementById('btnDownloadICS'),
+    
+    standingModal: document.getElementById('standingModal'),
+    standingGpa: document.getElementById('standingGpa'),
+    standingProbation: document.getElementById('standingProbation'),
+    standingPolicies: document.getElementById('standingPolicies'),
+    unitLimitInputs: document.querySelectorAll('#unitLimits input[data-limit]'),
+    closeStandingModal: document.getElementById('closeStandingModal'),
+    btnCloseStandingModal: document.getElementById('btnCloseStandingModal'),
+    btnSaveStanding: document.getElementById('btnSaveStanding'),
+    
+    passedModal: document.getElementById('passedModal'),
+    passedList: document.getElementById('passedList'),
+    passedCodeInput: document.getElementById('passedCodeInput'),
+    btnAddPassedCode: document.getElementById('btnAddPassedCode'),
+    closePassedModal: document.getElementById('closePassedModal'),
+    btnClosePassedModal: document.getElementById('btnClosePassedModal'),
+    
+    compareModal: document.getElementById('compareModal'),
+    compareLeft: document.getElementById('compareLeft'),
+    compareRight: document.getElementById('compareRight'),
+    compareBody: document.getElementById('compareBody'),
+    closeCompareModal: document.getElementById('closeCompareModal'),
+    btnCloseCompareModal: document.getElementById('btnCloseCompareModal'),
+    
+    preferencesModal: document.getElementById('preferencesModal'),
+    preferencesBody: document.getElementById('preferencesBody'),
+    closePreferencesModal: document.getElementById('closePreferencesModal'),
+    btnClosePreferencesModal: document.getElementById('btnClosePreferencesModal'),
+    btnSavePreferences: document.getElementById('btnSavePreferences'),
+    
+    // PDF Export Modal
+    pdfModal: document.getElementById('pdfModal'),
+    studentName: document.getElementById('studentName'),
+    studentId: document.getElementById('studentId'),
+    closePdfModal: document.getElementById('closePdfModal'),
+    btnClosePdfModal: document.getElementById('btnClosePdfModal'),
+    btnDownloadPDF: document.getElementById('btnDownloadPDF'),
+    
+    // Professor Directory
+    professorModal: document.getElementById('professorModal'),
+    professorSearch: document.getElementById('professorSearch'),
+    professorList: document.getElementById('professorList'),
+    professorDetail: document.getElementById('professorDetail'),
+    closeProfessorModal: document.getElementById('closeProfessorModal'),
+    btnCloseProfessorModal: document.getElementById('btnCloseProfessorModal'),
+    btnProfessors: document.getElementById('btnProfessors'),
+    professorFilterChip: document.getElementById('professorFilterChip'),
+    
+    // Busy Block Modal
+    busyModal: document.getElementById('busyModal'),
+    busyModalTitle: document.getElementById('busyModalTitle'),
+    busyName: document.getElementById('busyName'),
+    busyDay: document.getElementById('busyDay'),
+    busyStart: document.getElementById('busyStart'),
+    busyEnd: document.getElementById('busyEnd'),
+    closeBusyModal: document.getElementById('closeBusyModal'),
+    btnSaveBusy: document.getElementById('btnSaveBusy'),
+    btnDeleteBusy: document.getElementById('btnDeleteBusy'),
+    btnCloseBusyModal: document.getElementById('btnCloseBusyModal'),
+    btnAddBusy: document.getElementById('btnAddBusy'),
+    
+    // Catalog Changes Modal
+    changesModal: document.getElementById('changesModal'),
+    changesList: document.getElementById('changesList'),
+    closeChangesModal: document.getElementById('closeChangesModal'),
+    btnCloseChangesModal: document.getElementById('btnCloseChangesModal'),
+    btnAcceptAllChanges: document.getElementById('btnAcceptAllChanges'),
+    
     // Toast
-    toastContainer: document.getElementById('toastContainer')
+    toastContainer: document.getElementById('toastContainer'),
+    liveRegion: document.getElementById('liveRegion'),
+    catalogStatus: document.getElementById('catalogStatus')
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -138,13 +505,40 @@ function hasTimeOverlap(start1, end1, start2, end2) {
     return s1 < e2 && s2 < e1;
 }
 
+/**
+ * Check if two slots can meet in the same week
+ * An odd-week and an even-week session never do
+ */
+function hasParityOverlap(slot1, slot2) {
+    return !slot1.parity || !slot2.parity || slot1.parity === slot2.parity;
+}
+
+/**
+ * Parse a week parity label (فرد/زوج, odd/even)
+ * Returns 'odd', 'even', null for weekly, or undefined when unrecognised
+ */
+function parseParity(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (text === CONFIG.WEEK_PARITY.odd || text === 'odd') return 'odd';
+    if (text === CONFIG.WEEK_PARITY.even || text === 'even') return 'even';
+    return undefined;
+}
+
+/**
+ * Parity suffix for slot labels, e.g. " (فرد)"
+ */
+function getParityLabel(slot) {
+    return slot.parity ? ` (${CONFIG.WEEK_PARITY[slot.parity]})` : '';
+}
+
 /**
  * Check if two courses have schedule conflicts
  */
 function checkConflict(course1, course2) {
     for (const slot1 of course1.schedule) {
         for (const slot2 of course2.schedule) {
-            if (slot1.day === slot2.day) {
+            if (slot1.day === slot2.day && hasParityOverlap(slot1, slot2)) {
                 if (hasTimeOverlap(slot1.start, slot1.end, slot2.start, slot2.end)) {
                     return {
                         hasConflict: true,
@@ -159,6 +553,37 @@ function checkConflict(course1, course2) {
     return { hasConflict: false };
 }
 
+/**
+ * Check if two courses have final exam conflicts
+ * overlap: exam times clash; sameDay: both exams fall on one date
+ */
+function checkExamConflict(course1, course2) {
+    const exam1 = course1.exam;
+    const exam2 = course2.exam;
+    if (!exam1 || !exam2) return { hasConflict: false, sameDay: false };
+    
+    const date1 = parseDateInput(exam1.date);
+    const date2 = parseDateInput(exam2.date);
+    if (!date1 || !date2 || date1.getTime() !== date2.getTime()) {
+        return { hasConflict: false, sameDay: false };
+    }
+    
+    return {
+        hasConflict: hasTimeOverlap(exam1.start, exam1.end, exam2.start, exam2.end),
+        sameDay: true,
+        date: exam1.date,
+        time1: `${exam1.start}-${exam1.end}`,
+        time2: `${exam2.start}-${exam2.end}`
+    };
+}
+
+/**
+ * Human readable exam text, e.g. "۱۴۰۴/۱۰/۱۵ ۸:۰۰-۱۰:۰۰"
+ */
+function formatExam(exam) {
+    return exam ? `${toPersianNumber(exam.date)} ${toPersianTime(exam.start)}-${toPersianTime(exam.end)}` : 'ندارد';
+}
+
 /**
  * Generate unique ID for a course (code + group)
  */
@@ -181,6 +606,15 @@ function toPersianNumber(num) {
     return num.toString().replace(/\d/g, d => persianDigits[parseInt(d)]);
 }
 
+/**
+ * Convert Persian and Arabic digits to Latin digits
+ */
+function toLatinDigits(str) {
+    return str
+        .replace(/[۰-۹]/g, d => d.charCodeAt(0) - 0x06F0)
+        .replace(/[٠-٩]/g, d => d.charCodeAt(0) - 0x0660);
+}
+
 /**
  * Convert time to Persian format
  */
@@ -188,76 +622,384 @@ function toPersianTime(timeStr) {
     return timeStr.replace(/\d/g, d => toPersianNumber(d));
 }
 
+/**
+ * Convert a Jalali date to Gregorian
+ * Returns [year, month, day] with 1-based month
+ */
+function jalaliToGregorian(jy, jm, jd) {
+    jy += 1595;
+    let days = -355668 + (365 * jy) + Math.floor(jy / 33) * 8 + Math.floor(((jy % 33) + 3) / 4) + jd +
+        (jm < 7 ? (jm - 1) * 31 : ((jm - 7) * 30) + 186);
+    
+    let gy = 400 * Math.floor(days / 146097);
+    days %= 146097;
+    if (days > 36524) {
+        gy += 100 * Math.floor(--days / 36524);
+        days %= 36524;
+        if (days >= 365) days++;
+    }
+    gy += 4 * Math.floor(days / 1461);
+    days %= 1461;
+    if (days > 365) {
+        gy += Math.floor((days - 1) / 365);
+        days = (days - 1) % 365;
+    }
+    
+    let gd = days + 1;
+    const isLeap = (gy % 4 === 0 && gy % 100 !== 0) || gy % 400 === 0;
+    const monthDays = [0, 31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    let gm = 1;
+    while (gm <= 12 && gd > monthDays[gm]) {
+        gd -= monthDays[gm];
+        gm++;
+    }
+    return [gy, gm, gd];
+}
+
+/**
+ * Convert a Gregorian date to Jalali
+ * Returns [year, month, day] with 1-based month
+ */
+function gregorianToJalali(gy, gm, gd) {
+    const monthOffsets = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+    const gy2 = gm > 2 ? gy + 1 : gy;
+    let days = 355666 + (365 * gy) + Math.floor((gy2 + 3) / 4) - Math.floor((gy2 + 99) / 100) +
+        Math.floor((gy2 + 399) / 400) + gd + monthOffsets[gm - 1];
+    
+    let jy = -1595 + (33 * Math.floor(days / 12053));
+    days %= 12053;
+    jy += 4 * Math.floor(days / 1461);
+    days %= 1461;
+    if (days > 365) {
+        jy += Math.floor((days - 1) / 365);
+        days = (days - 1) % 365;
+    }
+    
+    const jm = days < 186 ? 1 + Math.floor(days / 31) : 7 + Math.floor((days - 186) / 30);
+    const jd = 1 + (days < 186 ? days % 31 : (days - 186) % 30);
+    return [jy, jm, jd];
+}
+
+/**
+ * Parse a date typed by the user
+ * Accepts Jalali (1404/07/01) or Gregorian (2025-09-23), Persian digits allowed
+ * Returns a local Date at midnight, or null when invalid
+ */
+function parseDateInput(value) {
+    const match = /^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/.exec(toLatinDigits(value || '').trim());
+    if (!match) return null;
+    
+    let [year, month, day] = match.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    
+    // Years before 1700 can only be Jalali; a day the month does not have
+    // (31 Mehr, 30 Esfand of a common year) does not convert back to itself
+    if (year < 1700) {
+        const jalali = [year, month, day];
+        [year, month, day] = jalaliToGregorian(...jalali);
+        if (gregorianToJalali(year, month, day).join('/') !== jalali.join('/')) return null;
+    }
+    
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+}
+
+/**
+ * Format a Date as a Jalali string (1404/07/01)
+ */
+function formatJalaliDate(date) {
+    const [jy, jm, jd] = gregorianToJalali(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    return `${jy}/${String(jm).padStart(2, '0')}/${String(jd).padStart(2, '0')}`;
+}
+
 // ═══════════════════════════════════════════════════════════════
 // DATA LOADING & PARSING
 // ═══════════════════════════════════════════════════════════════
 
+// Keys recognised inside a course block (Persian key -> course field)
+const COURSE_FIELDS = {
+    'کد': 'code',
+    'نام': 'name',
+    'واحد': 'units',
+    'استاد': 'professor',
+    'دانشکده': 'department',
+    'گروه': 'group',
+    'رنگ': 'color',
+    'پیشنیاز': 'prerequisites',
+    'پیش‌نیاز': 'prerequisites',
+    'همنیاز': 'corequisites',
+    'هم‌نیاز': 'corequisites',
+    'امتحان': 'exam',
+    'ظرفیت': 'capacity',
+    'ثبت‌نام': 'enrolled',
+    'ثبت نام': 'enrolled'
+};
+
 /**
- * Parse courses from text file content
+ * Create an empty course with default values
  */
-function parseCourses(text) {
+function createEmptyCourse() {
+    return {
+        title: '',
+        code: '',
+        name: '',
+        units: 0,
+        professor: '',
+        department: '',     // Offering department, used to group units in statistics
+        group: 1,
+        color: '#1a1a1a',
+        prerequisites: [],  // Codes that must be passed first
+        corequisites: [],   // Codes that must be taken together (or passed)
+        exam: null,         // Final exam: { date, start, end }
+        capacity: null,     // Seats in the section (null when unknown)
+        enrolled: null,     // Seats already taken (null when unknown)
+        schedule: []
+    };
+}
+
+/**
+ * Split a list of course codes ("312011، 312045" or an array)
+ */
+function parseCodeList(value) {
+    const list = Array.isArray(value) ? value : String(value).split(/[,،\s]+/);
+    return list.map(code => toLatinDigits(String(code)).trim()).filter(Boolean);
+}
+
+/**
+ * Check a HH:MM time string
+ */
+function isValidTime(timeStr) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(timeStr);
+    return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+}
+
+/**
+ * Check a CSS hex color (#rgb or #rrggbb)
+ */
+function isValidColor(color) {
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color);
+}
+
+/**
+ * Validate a schedule slot
+ * Returns an error message, or null when the slot is valid
+ */
+function validateSlot(day, start, end) {
+    if (!CONFIG.DAYS.includes(day)) {
+        return `روز نامعتبر: "${day}"`;
+    }
+    if (!isValidTime(start) || !isValidTime(end)) {
+        return `ساعت نامعتبر: "${!isValidTime(start) ? start : end}"`;
+    }
+    if (parseTime(end) <= parseTime(start)) {
+        return `ساعت پایان (${end}) باید بعد از ساعت شروع (${start}) باشد`;
+    }
+    return null;
+}
+
+/**
+ * Parse and validate a final exam (date; start; end)
+ * Returns { exam } or { error }
+ */
+function parseExamValue(date, start, end) {
+    date = toLatinDigits(String(date || '')).trim();
+    start = normalizeTime(start || '');
+    end = normalizeTime(end || '');
+    
+    if (!parseDateInput(date)) {
+        return { error: `تاریخ امتحان نامعتبر: "${date}"` };
+    }
+    if (!isValidTime(start) || !isValidTime(end)) {
+        return { error: `ساعت امتحان نامعتبر: "${!isValidTime(start) ? start : end}"` };
+    }
+    if (parseTime(end) <= parseTime(start)) {
+        return { error: `ساعت پایان امتحان (${end}) باید بعد از ساعت شروع (${start}) باشد` };
+    }
+    return { exam: { date, start, end } };
+}
+
+/**
+ * Parse courses from text file content and validate every line
+ * Returns { courses, issues } where each issue is { line, severity, message }
+ */
+function parseCoursesWithReport(text) {
     const courses = [];
-    const blocks = text.split(/(?=# )/).filter(block => block.trim().startsWith('#'));
+    const issues = [];
+    const seenIds = new Map(); // course ID -> line of its header
+    
+    const report = (line, severity, message) => issues.push({ line, severity, message });
     
-    for (const block of blocks) {
-        const lines = block.trim().split('\n').map(l => l.trim()).filter(l => l);
+    let course = null;
+    let courseLine = 0;
+    
+    const finishCourse = () => {
+        if (!course) return;
         
-        const course = {
-            title: '',
-            code: '',
-            name: '',
-            units: 0,
-            professor: '',
-            group: 1,
-            color: '#1a1a1a',
-            schedule: []
-        };
+        if (!course.code || !course.name) {
+            report(courseLine, 'error', `درس "${course.title}" کد یا نام ندارد و نادیده گرفته شد`);
+        } else {
+            const courseId = getCourseId(course);
+            if (seenIds.has(courseId)) {
+                report(courseLine, 'error', `کد ${course.code} با گروه ${course.group} تکراری است (اولین بار در خط ${seenIds.get(courseId)})`);
+            } else {
+                seenIds.set(courseId, courseLine);
+                courses.push(course);
+            }
+        }
+        course = null;
+    };
+    
+    text.split('\n').forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line) return;
         
-        for (const line of lines) {
-            if (line.startsWith('#')) {
-                course.title = line.replace('#', '').trim();
-            } else if (line.startsWith('کد:')) {
-                course.code = line.replace('کد:', '').trim();
-            } else if (line.startsWith('نام:')) {
-                course.name = line.replace('نام:', '').trim();
-            } else if (line.startsWith('واحد:')) {
-                course.units = parseInt(line.replace('واحد:', '').trim()) || 0;
-            } else if (line.startsWith('استاد:')) {
-                course.professor = line.replace('استاد:', '').trim();
-            } else if (line.startsWith('گروه:')) {
-                course.group = parseInt(line.replace('گروه:', '').trim()) || 1;
-            } else if (line.startsWith('رنگ:')) {
-                course.color = line.replace('رنگ:', '').trim();
-            } else if (line.includes(';')) {
-                const [day, start, end] = line.split(';').map(s => s.trim());
-                if (day && start && end) {
-                    course.schedule.push({ day, start, end });
-                }
+        // Course header
+        if (line.startsWith('#')) {
+            finishCourse();
+            course = createEmptyCourse();
+            course.title = line.replace('#', '').trim();
+            courseLine = lineNumber;
+            return;
+        }
+        
+        if (!course) {
+            report(lineNumber, 'warning', 'خط خارج از بلوک درس است و نادیده گرفته شد');
+            return;
+        }
+        
+        // Known "key: value" fields win over slots (exam values contain ';')
+        const keyMatch = /^([^:;]+):/.exec(line);
+        const isField = keyMatch && COURSE_FIELDS[keyMatch[1].trim()];
+        
+        // Schedule slot: day; start; end
+        if (!isField && line.includes(';')) {
+            const parts = line.split(';').map(p => p.trim());
+            const [day, start, end, parityText] = parts;
+            
+            if (parts.length < 3 || parts.length > 4 || !day || !start || !end) {
+                report(lineNumber, 'error', 'زمان کلاس باید به شکل "روز; شروع; پایان" یا "روز; شروع; پایان; فرد/زوج" باشد');
+                return;
+            }
+            
+            const parity = parseParity(parityText);
+            if (parity === undefined) {
+                report(lineNumber, 'error', `هفته نامعتبر: "${parityText}" (فقط فرد یا زوج)`);
+                return;
+            }
+            
+            const slotError = validateSlot(day, start, end);
+            if (slotError) {
+                report(lineNumber, 'error', slotError);
+            } else {
+                course.schedule.push(parity ? { day, start, end, parity } : { day, start, end });
             }
+            return;
         }
         
-        if (course.code && course.name) {
-            courses.push(course);
+        // Key: value field
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            report(lineNumber, 'warning', `خط ناشناخته: "${line}"`);
+            return;
         }
-    }
+        
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        const field = COURSE_FIELDS[key];
+        
+        if (!field) {
+            report(lineNumber, 'warning', `کلید ناشناخته: "${key}"`);
+            return;
+        }
+        
+        if (field === 'units' || field === 'group' || field === 'capacity' || field === 'enrolled') {
+            const number = parseInt(value, 10);
+            if (!/^\d+$/.test(value) || (field === 'group' && number < 1)) {
+                report(lineNumber, 'error', `مقدار "${key}" باید عدد باشد: "${value}"`);
+                return;
+            }
+            course[field] = number;
+        } else if (field === 'color') {
+            if (!isValidColor(value)) {
+                report(lineNumber, 'warning', `رنگ نامعتبر: "${value}"`);
+                return;
+            }
+            course.color = value;
+        } else if (field === 'prerequisites' || field === 'corequisites') {
+            course[field] = parseCodeList(value);
+        } else if (field === 'exam') {
+            const { exam, error } = parseExamValue(...value.split(';'));
+            if (error) {
+                report(lineNumber, 'error', error);
+                return;
+            }
+            course.exam = exam;
+        } else {
+            course[field] = value;
+        }
+    });
+    
+    finishCourse();
+    issues.sort((a, b) => a.line - b.line);
     
-    return courses;
+    return { courses, issues };
+}
+
+/**
+ * Parse courses from text file content
+ */
+function parseCourses(text) {
+    return parseCoursesWithReport(text).courses;
 }
 
 /**
  * Load courses from file
  */
 async function loadCourses() {
+    // An imported catalog stays in use until the user goes back to the default file
+    const imported = loadImportedCatalog();
+    if (imported) {
+        state.catalogUpdatedAt = imported.updatedAt;
+        state.catalogFromCache = false;
+        setCatalog(imported.courses, imported.issues, imported.source);
+        return;
+    }
+    
     try {
         const response = await fetch(CONFIG.COURSES_FILE);
         if (!response.ok) throw new Error('Failed to load courses');
         
         const text = await response.text();
-        state.courses = parseCourses(text);
+        const { courses, issues } = parseCoursesWithReport(text);
+        
+        // Only a fresh file refreshes the saved copy and its timestamp
+        if (response.headers.get(CONFIG.FROM_CACHE_HEADER)) {
+            const cached = loadCachedCatalog();
+            state.catalogUpdatedAt = cached ? cached.updatedAt : null;
+            state.catalogFromCache = true;
+        } else {
+            state.catalogUpdatedAt = Date.now();
+            state.catalogFromCache = false;
+            saveCachedCatalog(text);
+        }
+        setCatalog(courses, issues, CONFIG.COURSES_FILE);
         
         console.log(`Loaded ${state.courses.length} courses`);
     } catch (error) {
         console.error('Error loading courses:', error);
+        
+        // Prefer the last file that loaded successfully
+        const cached = loadCachedCatalog();
+        if (cached) {
+            const { courses, issues } = parseCoursesWithReport(cached.text);
+            state.catalogUpdatedAt = cached.updatedAt;
+            state.catalogFromCache = true;
+            setCatalog(courses, issues, CONFIG.COURSES_FILE);
+            showToast('اتصال برقرار نشد؛ آخرین فهرست ذخیره‌شده بارگذاری شد', 'warning');
+            return;
+        }
+        
         showToast('خطا در بارگذاری دروس', 'error');
         
         // Load fallback data
@@ -265,11 +1007,163 @@ async function loadCourses() {
     }
 }
 
+/**
+ * Save the last course file loaded from the network
+ */
+function saveCachedCatalog(text) {
+    try {
+        localStorage.setItem(CONFIG.CATALOG_STORAGE_KEY, JSON.stringify({
+            text,
+            updatedAt: state.catalogUpdatedAt
+        }));
+    } catch (error) {
+        console.error('Error saving catalog:', error);
+    }
+}
+
+/**
+ * Load the saved course file ({ text, updatedAt } or null)
+ */
+function loadCachedCatalog() {
+    try {
+        const saved = localStorage.getItem(CONFIG.CATALOG_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error loading catalog:', error);
+        return null;
+    }
+}
+
+/**
+ * Save a catalog imported from a local file
+ */
+function saveImportedCatalog(courses, issues, source) {
+    try {
+        localStorage.setItem(CONFIG.IMPORTED_CATALOG_STORAGE_KEY, JSON.stringify({
+            courses,
+            issues,
+            source,
+            updatedAt: state.catalogUpdatedAt
+        }));
+    } catch (error) {
+        console.error('Error saving imported catalog:', error);
+        showToast('فهرست واردشده ذخیره نشد و پس از بارگذاری مجدد از بین می‌رود', 'warning');
+    }
+}
+
+/**
+ * Load the saved imported catalog ({ courses, issues, source, updatedAt } or null)
+ */
+function loadImportedCatalog() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.IMPORTED_CATALOG_STORAGE_KEY));
+        if (!saved || !Array.isArray(saved.courses) || saved.courses.length === 0) return null;
+        return {
+            ...saved,
+            issues: Array.isArray(saved.issues) ? saved.issues : []
+        };
+    } catch (error) {
+        console.error('Error loading imported catalog:', error);
+        return null;
+    }
+}
+
+/**
+ * Drop the imported catalog and load the default course file again
+ */
+async function resetImportedCatalog() {
+    if (!confirm('فهرست واردشده کنار گذاشته و فهرست پیش‌فرض دروس بارگذاری می‌شود. ادامه می‌دهید؟')) return;
+    
+    if (state.generator.active) {
+        exitGeneratorPreview();
+    }
+    
+    localStorage.removeItem(CONFIG.IMPORTED_CATALOG_STORAGE_KEY);
+    await loadCourses();
+    renderSearchFilters();
+    closeAllModals();
+    
+    updateSummary();
+    renderSchedule();
+    renderCatalogChanges();
+    
+    showToast('فهرست پیش‌فرض دروس بارگذاری شد', 'success');
+    notifyFullSelections();
+}
+
+/**
+ * Show when the catalog was last updated, and whether it is an offline copy
+ */
+function renderCatalogStatus() {
+    const status = elements.catalogStatus;
+    status.classList.toggle('hidden', !state.catalogUpdatedAt);
+    if (!state.catalogUpdatedAt) return;
+    
+    const date = new Date(state.catalogUpdatedAt);
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    const isOffline = !navigator.onLine;
+    
+    status.textContent = `${isOffline ? 'آفلاین · ' : ''}به‌روزرسانی فهرست: ${toPersianNumber(formatJalaliDate(date))} ${toPersianTime(time)}`;
+    status.classList.toggle('stale', state.catalogFromCache || isOffline);
+    status.title = state.catalogFromCache
+        ? 'اتصال برقرار نشد؛ آخرین نسخه ذخیره‌شده فهرست دروس نمایش داده می‌شود'
+        : `منبع: ${state.catalogSource}`;
+}
+
+/**
+ * Register the service worker that makes the app work offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    
+    navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_FILE).catch(error => {
+        console.error('Error registering service worker:', error);
+    });
+}
+
+/**
+ * Replace the course catalog and its validation report
+ */
+function setCatalog(courses, issues, source) {
+    state.courses = courses;
+    state.parseIssues = issues;
+    state.catalogSource = source;
+    renderDiagnostics();
+    renderCatalogStatus();
+    
+    if (issues.length > 0) {
+        console.warn(`Found ${issues.length} issues in ${source}`);
+        showToast(`${toPersianNumber(issues.length)} مشکل در فایل دروس یافت شد`, 'warning');
+    }
+}
+
+/**
+ * Render the course file validation report
+ */
+function renderDiagnostics() {
+    const issues = state.parseIssues;
+    
+    elements.diagnosticsPanel.classList.toggle('hidden', issues.length === 0);
+    if (issues.length === 0) return;
+    
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    elements.diagnosticsTitle.textContent =
+        `گزارش بررسی ${state.catalogSource}: ${toPersianNumber(errorCount)} خطا، ${toPersianNumber(issues.length - errorCount)} هشدار`;
+    
+    elements.diagnosticsList.innerHTML = issues.map(issue => `
+        <li class="diagnostics-item ${issue.severity}">
+            <span class="diagnostics-line">خط ${toPersianNumber(issue.line)}</span>
+            <span class="diagnostics-message">${issue.message}</span>
+        </li>
+    `).join('');
+}
+
 /**
  * Fallback courses data if file fails to load
+ * Entries are filled out like parsed courses and go through setCatalog
  */
 function loadFallbackCourses() {
-    state.courses = [
+    const entries = [
         {
             code: '312011',
             name: 'آزمایشگاه نرم افزارهای گرافیکی',
@@ -304,382 +1198,4341 @@ function loadFallbackCourses() {
             ]
         }
     ];
+    
+    const courses = entries.map(entry => ({ ...createEmptyCourse(), title: entry.name, ...entry }));
+    state.catalogUpdatedAt = null;
+    state.catalogFromCache = false;
+    setCatalog(courses, [], 'فهرست پیش‌فرض برنامه');
 }
 
 // ═══════════════════════════════════════════════════════════════
-// LOCAL STORAGE
+// CATALOG IMPORT - TXT, CSV, TSV, JSON
 // ═══════════════════════════════════════════════════════════════
 
-/**
- * Save selected courses to localStorage
+// Normalized course fields an imported column can map to, with header aliases
+const IMPORT_FIELDS = {
+    code: { label: 'کد درس', aliases: ['code', 'course code', 'course_code', 'کد', 'کد درس'] },
+    name: { label: 'نام درس', aliases: ['name', 'course name', 'title', 'نام', 'نام درس'] },
+    units: { label: 'تعداد واحد', aliases: ['units', 'unit', 'credits', 'واحد', 'تعداد واحد'] },
+    professor: { label: 'استاد', aliases: ['professor', 'instructor', 'teacher', 'استاد', 'نام استاد'] },
+    department: { label: 'دانشکده', aliases: ['department', 'faculty', 'dept', 'دانشکده'] },
+    group: { label: 'گروه', aliases: ['group', 'section', 'گروه'] },
+    color: { label: 'رنگ', aliases: ['color', 'colour', 'رنگ'] },
+    prerequisites: { label: 'پیش‌نیاز', aliases: ['prerequisites', 'prerequisite', 'prereq', 'پیشنیاز', 'پیش‌نیاز'] },
+    corequisites: { label: 'هم‌نیاز', aliases: ['corequisites', 'corequisite', 'coreq', 'همنیاز', 'هم‌نیاز'] },
+    examDate: { label: 'تاریخ امتحان', aliases: ['exam date', 'exam_date', 'exam', 'تاریخ امتحان', 'امتحان'] },
+    examStart: { label: 'ساعت شروع امتحان', aliases: ['exam start', 'exam_start', 'شروع امتحان', 'ساعت امتحان'] },
+    examEnd: { label: 'ساعت پایان امتحان', aliases: ['exam end', 'exam_end', 'پایان امتحان'] },
+    capacity: { label: 'ظرفیت', aliases: ['capacity', 'seats', 'ظرفیت'] },
+    enrolled: { label: 'ثبت‌نام شده', aliases: ['enrolled', 'registered', 'ثبت نام', 'ثبت‌نام', 'ثبت‌نام شده'] },
+    schedule: { label: 'برنامه (چند زمان در یک ستون)', aliases: ['schedule', 'times', 'برنامه', 'زمان'] },
+    day: { label: 'روز', aliases: ['day', 'روز'] },
+    start: { label: 'ساعت شروع', aliases: ['start', 'start time', 'from', 'شروع', 'ساعت شروع'] },
+    end: { label: 'ساعت پایان', aliases: ['end', 'end time', 'to', 'پایان', 'ساعت پایان'] },
+    parity: { label: 'هفته (فرد/زوج)', aliases: ['parity', 'week', 'هفته', 'زوج/فرد', 'فرد/زوج'] }
+};
+
+/**
+ * Registered importers
+ * Text importers return { courses, issues } directly; tabular importers
+ * return { columns, rows } and go through column mapping first
+ */
+const IMPORTERS = [
+    {
+        id: 'txt',
+        extensions: ['txt'],
+        tabular: false,
+        parse: text => parseCoursesWithReport(text)
+    },
+    {
+        id: 'csv',
+        extensions: ['csv'],
+        tabular: true,
+        parse: text => readDelimitedRows(text, detectDelimiter(text))
+    },
+    {
+        id: 'tsv',
+        extensions: ['tsv', 'tab'],
+        tabular: true,
+        parse: text => readDelimitedRows(text, '\t')
+    },
+    {
+        id: 'json',
+        extensions: ['json'],
+        tabular: true,
+        parse: text => readJsonRows(text)
+    }
+];
+
+/**
+ * Pick an importer by file extension, falling back to sniffing the content
+ */
+function findImporter(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const byExtension = IMPORTERS.find(importer => importer.extensions.includes(extension));
+    if (byExtension) return byExtension;
+    
+    const trimmed = text.trim();
+    let id = 'csv';
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) id = 'json';
+    else if (trimmed.startsWith('#')) id = 'txt';
+    else if (trimmed.split('\n')[0].includes('\t')) id = 'tsv';
+    
+    return IMPORTERS.find(importer => importer.id === id);
+}
+
+/**
+ * Guess the delimiter of a CSV file (spreadsheet exports may use ';')
+ */
+function detectDelimiter(text) {
+    const header = text.split('\n')[0];
+    const count = char => header.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Read delimited text (CSV/TSV) with quoted cells into rows keyed by header
+ */
+function readDelimitedRows(text, delimiter) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    
+    text = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push({ cells: record, line: recordLine });
+            record = [];
+            cell = '';
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell || record.length > 0) {
+        record.push(cell);
+        records.push({ cells: record, line: recordLine });
+    }
+    
+    const nonEmpty = records.filter(r => r.cells.some(c => c.trim()));
+    if (nonEmpty.length === 0) return { columns: [], rows: [] };
+    
+    const columns = nonEmpty[0].cells.map(c => c.trim());
+    const rows = nonEmpty.slice(1).map(r => {
+        const values = {};
+        columns.forEach((column, index) => {
+            values[column] = (r.cells[index] || '').trim();
+        });
+        return { values, line: r.line };
+    });
+    
+    return { columns, rows };
+}
+
+/**
+ * Read a JSON array of course objects (or { courses: [...] }) into rows
+ */
+function readJsonRows(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : (data.courses || []);
+    
+    const columns = [...new Set(list.flatMap(item => Object.keys(item)))];
+    const rows = list.map((item, index) => ({ values: item, line: index + 1 }));
+    
+    return { columns, rows };
+}
+
+/**
+ * Guess the column for each normalized field from header aliases
+ */
+function guessColumnMapping(columns) {
+    const mapping = {};
+    Object.entries(IMPORT_FIELDS).forEach(([field, { aliases }]) => {
+        mapping[field] = columns.find(column => aliases.includes(column.trim().toLowerCase())) || '';
+    });
+    return mapping;
+}
+
+/**
+ * Match a day name regardless of ی/ي, ک/ك, spaces and ZWNJ
+ */
+function normalizeDay(day) {
+    const simplify = str => str.replace(/ي/g, 'ی').replace(/ك/g, 'ک').replace(/[\s\u200C]/g, '');
+    const target = simplify(day);
+    return CONFIG.DAYS.find(d => simplify(d) === target) || day.trim();
+}
+
+/**
+ * Normalize a HH:MM time (Persian digits, missing minutes, single-digit hours)
+ */
+function normalizeTime(time) {
+    const latin = toLatinDigits(String(time)).trim();
+    const [hours, minutes = '00'] = latin.split(':');
+    return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`;
+}
+
+/**
+ * Parse a schedule cell such as "شنبه 08:00-10:00، دوشنبه 08:00-10:00"
+ * Arrays of { day, start, end } (from JSON) are accepted as-is
+ */
+function parseScheduleValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(slot => (typeof slot === 'string' ? parseScheduleValue(slot)[0] : slot));
+    }
+    
+    return String(value)
+        .split(/[|،\n]|,(?!\d)/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = /^(.+?)[\s;]+([\d۰-۹:]+)\s*[-–;]\s*([\d۰-۹:]+)(?:[\s;(]+([^\s;()]+)\)?)?$/.exec(part);
+            return match
+                ? { day: match[1], start: match[2], end: match[3], parity: match[4] }
+                : { day: part, start: '', end: '' };
+        });
+}
+
+/**
+ * Convert mapped rows into normalized courses
+ * Rows sharing code and group are merged, so one row per slot also works
+ */
+function normalizeRows(rows, mapping, source) {
+    const issues = [];
+    const byId = new Map();
+    
+    const report = (line, severity, message) => issues.push({ line, severity, message });
+    const read = (values, field) => {
+        const value = mapping[field] ? values[mapping[field]] : undefined;
+        return value === undefined || value === null ? '' : value;
+    };
+    
+    rows.forEach(({ values, line }) => {
+        const code = toLatinDigits(String(read(values, 'code'))).trim();
+        const name = String(read(values, 'name')).trim();
+        
+        if (!code || !name) {
+            report(line, 'error', 'ردیف کد یا نام درس ندارد و نادیده گرفته شد');
+            return;
+        }
+        
+        const groupValue = toLatinDigits(String(read(values, 'group'))).trim();
+        const group = parseInt(groupValue, 10) || 1;
+        if (groupValue && !/^\d+$/.test(groupValue)) {
+            report(line, 'warning', `گروه نامعتبر: "${groupValue}"`);
+        }
+        
+        const courseId = getCourseId({ code, group });
+        let course = byId.get(courseId);
+        
+        if (!course) {
+            course = createEmptyCourse();
+            course.code = code;
+            course.name = name;
+            course.title = `${name} - گروه ${group}`;
+            course.group = group;
+            course.professor = String(read(values, 'professor')).trim();
+            course.department = String(read(values, 'department')).trim();
+            
+            const unitsValue = toLatinDigits(String(read(values, 'units'))).trim();
+            if (unitsValue && !/^\d+$/.test(unitsValue)) {
+                report(line, 'error', `مقدار واحد باید عدد باشد: "${unitsValue}"`);
+            } else {
+                course.units = parseInt(unitsValue, 10) || 0;
+            }
+            
+            const color = String(read(values, 'color')).trim();
+            if (color && !isValidColor(color)) {
+                report(line, 'warning', `رنگ نامعتبر: "${color}"`);
+            } else if (color) {
+                course.color = color;
+            }
+            
+            course.prerequisites = parseCodeList(read(values, 'prerequisites'));
+            course.corequisites = parseCodeList(read(values, 'corequisites'));
+            
+            ['capacity', 'enrolled'].forEach(field => {
+                const value = toLatinDigits(String(read(values, field))).trim();
+                if (value && !/^\d+$/.test(value)) {
+                    report(line, 'warning', `مقدار ${IMPORT_FIELDS[field].label} باید عدد باشد: "${value}"`);
+                } else if (value) {
+                    course[field] = parseInt(value, 10);
+                }
+            });
+            
+            // Exam as one "date; start; end" cell or three separate columns
+            const examDate = String(read(values, 'examDate')).trim();
+            if (examDate) {
+                const parts = examDate.includes(';')
+                    ? examDate.split(';')
+                    : [examDate, read(values, 'examStart'), read(values, 'examEnd')];
+                const { exam, error } = parseExamValue(...parts);
+                if (error) {
+                    report(line, 'error', error);
+                } else {
+                    course.exam = exam;
+                }
+            }
+            
+            byId.set(courseId, course);
+        }
+        
+        // Slots from a schedule column and/or day/start/end columns
+        const slots = [];
+        if (read(values, 'schedule')) {
+            slots.push(...parseScheduleValue(read(values, 'schedule')));
+        }
+        if (read(values, 'day')) {
+            slots.push({
+                day: read(values, 'day'),
+                start: read(values, 'start'),
+                end: read(values, 'end'),
+                parity: read(values, 'parity')
+            });
+        }
+        
+        slots.forEach(slot => {
+            const day = normalizeDay(String(slot.day || ''));
+            const start = normalizeTime(slot.start || '');
+            const end = normalizeTime(slot.end || '');
+            const parity = parseParity(slot.parity);
+            const slotError = parity === undefined
+                ? `هفته نامعتبر: "${slot.parity}" (فقط فرد یا زوج)`
+                : validateSlot(day, start, end);
+            
+            if (slotError) {
+                report(line, 'error', slotError);
+            } else {
+                course.schedule.push(parity ? { day, start, end, parity } : { day, start, end });
+            }
+        });
+    });
+    
+    if (byId.size === 0) {
+        report(1, 'error', `هیچ درسی در ${source} یافت نشد`);
+    }
+    
+    return { courses: [...byId.values()], issues };
+}
+
+/**
+ * Show import modal
+ */
+function showImportModal() {
+    state.importDraft = null;
+    elements.importMapping.innerHTML = '';
+    elements.importDropZone.classList.remove('hidden');
+    elements.btnConfirmImport.classList.add('hidden');
+    elements.btnResetCatalog.classList.toggle('hidden', !loadImportedCatalog());
+    elements.importModal.classList.add('active');
+}
+
+/**
+ * Read a local file and run it through the matching importer
+ */
+async function importFile(file) {
+    try {
+        const text = await file.text();
+        const importer = findImporter(file.name, text);
+        
+        if (!importer.tabular) {
+            const { courses, issues } = importer.parse(text);
+            applyImportedCatalog(courses, issues, file.name);
+            return;
+        }
+        
+        const { columns, rows } = importer.parse(text);
+        if (rows.length === 0) {
+            showToast('فایل هیچ ردیفی ندارد', 'error');
+            return;
+        }
+        
+        if (!elements.importModal.classList.contains('active')) {
+            showImportModal();
+        }
+        state.importDraft = { fileName: file.name, columns, rows };
+        renderImportMapping();
+    } catch (error) {
+        console.error('Error importing file:', error);
+        showToast('خطا در خواندن فایل', 'error');
+    }
+}
+
+/**
+ * Render column mapping selects for the pending tabular import
+ */
+function renderImportMapping() {
+    const { fileName, columns, rows } = state.importDraft;
+    const mapping = guessColumnMapping(columns);
+    
+    const optionsFor = field => ['', ...columns].map(column => `
+        <option value="${column}" ${mapping[field] === column ? 'selected' : ''}>${column || '—'}</option>
+    `).join('');
+    
+    elements.importMapping.innerHTML = `
+        <p class="import-file-info">${fileName} | ${toPersianNumber(rows.length)} ردیف</p>
+        <div class="import-mapping-grid">
+            ${Object.entries(IMPORT_FIELDS).map(([field, { label }]) => `
+                <label class="import-mapping-item">
+                    <span>${label}</span>
+                    <select class="pref-select" data-field="${field}">${optionsFor(field)}</select>
+                </label>
+            `).join('')}
+        </div>
+    `;
+    
+    elements.importDropZone.classList.add('hidden');
+    elements.btnConfirmImport.classList.remove('hidden');
+}
+
+/**
+ * Normalize the pending tabular import with the chosen column mapping
+ */
+function confirmImport() {
+    if (!state.importDraft) return;
+    
+    const mapping = {};
+    elements.importMapping.querySelectorAll('select[data-field]').forEach(select => {
+        mapping[select.dataset.field] = select.value;
+    });
+    
+    if (!mapping.code || !mapping.name) {
+        showToast('ستون کد و نام درس باید مشخص شود', 'warning');
+        return;
+    }
+    
+    const { fileName, rows } = state.importDraft;
+    const { courses, issues } = normalizeRows(rows, mapping, fileName);
+    applyImportedCatalog(courses, issues, fileName);
+}
+
+/**
+ * Replace the catalog with imported courses and refresh the UI
+ */
+function applyImportedCatalog(courses, issues, source) {
+    if (courses.length === 0) {
+        state.parseIssues = issues;
+        state.catalogSource = source;
+        renderDiagnostics();
+        showToast('هیچ درس معتبری در فایل یافت نشد', 'error');
+        return;
+    }
+    
+    if (state.generator.active) {
+        exitGeneratorPreview();
+    }
+    
+    state.catalogUpdatedAt = Date.now();
+    state.catalogFromCache = false;
+    setCatalog(courses, issues, source);
+    saveImportedCatalog(courses, issues, source);
+    renderSearchFilters();
+    state.importDraft = null;
+    closeAllModals();
+    
+    updateSummary();
+    renderSchedule();
+    
+    const missing = state.selectedCourses.filter(id => !findCourseById(id)).length;
+    if (missing > 0) {
+        showToast(`${toPersianNumber(missing)} درس انتخاب‌شده در فهرست جدید وجود ندارد`, 'warning');
+    }
+    renderCatalogChanges();
+    
+    showToast(`${toPersianNumber(courses.length)} درس از ${source} بارگذاری شد`, 'success');
+    notifyFullSelections();
+}
+
+/**
+ * Wire file picker and drag-and-drop for catalog import
+ */
+function setupImportDropZone() {
+    const zone = elements.importDropZone;
+    
+    zone.addEventListener('click', () => elements.importFileInput.click());
+    elements.importFileInput.addEventListener('change', () => {
+        const [file] = elements.importFileInput.files;
+        if (file) importFile(file);
+        elements.importFileInput.value = '';
+    });
+    
+    // Accept files dropped on the zone or anywhere on the page
+    ['dragenter', 'dragover'].forEach(type => {
+        document.addEventListener(type, (e) => {
+            if (!e.dataTransfer || !e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            zone.classList.add('dragging');
+        });
+    });
+    
+    document.addEventListener('dragleave', (e) => {
+        if (e.relatedTarget === null) zone.classList.remove('dragging');
+    });
+    
+    document.addEventListener('drop', (e) => {
+        if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        zone.classList.remove('dragging');
+        importFile(e.dataTransfer.files[0]);
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOCAL STORAGE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Save drafts (with the current selection in the active one) and busy blocks to localStorage
+ */
+function saveToStorage() {
+    try {
+        const active = getActiveDraft();
+        if (active) {
+            active.courses = [...state.selectedCourses];
+        }
+        localStorage.setItem(CONFIG.DRAFTS_STORAGE_KEY, JSON.stringify({
+            activeId: state.activeDraftId,
+            drafts: state.drafts,
+            busyBlocks: state.busyBlocks
+        }));
+    } catch (error) {
+        console.error('Error saving to storage:', error);
+    }
+    
+    syncCourseSnapshots();
+}
+
+/**
+ * Save selected-course snapshots to localStorage
+ */
+function saveCourseSnapshots() {
+    try {
+        localStorage.setItem(CONFIG.SNAPSHOTS_STORAGE_KEY, JSON.stringify(state.courseSnapshots));
+    } catch (error) {
+        console.error('Error saving course snapshots:', error);
+    }
+}
+
+/**
+ * Load selected-course snapshots from localStorage
+ */
+function loadCourseSnapshots() {
+    try {
+        const saved = localStorage.getItem(CONFIG.SNAPSHOTS_STORAGE_KEY);
+        if (saved) {
+            state.courseSnapshots = JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('Error loading course snapshots:', error);
+    }
+}
+
+/**
+ * Load drafts from localStorage
+ * A legacy single selection becomes the first draft
+ */
+function loadFromStorage() {
+    try {
+        const saved = localStorage.getItem(CONFIG.DRAFTS_STORAGE_KEY);
+        const { activeId, drafts, busyBlocks } = (saved && JSON.parse(saved)) || {};
+        
+        // Drop malformed entries; without usable drafts fall back to the legacy selection
+        const validDrafts = Array.isArray(drafts)
+            ? drafts.filter(draft => draft && Array.isArray(draft.courses))
+            : [];
+        if (validDrafts.length > 0) {
+            state.drafts = validDrafts.map(draft => ({ ...draft, backups: draft.backups || {} }));
+            state.activeDraftId = activeId;
+        } else {
+            const legacy = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY));
+            state.drafts = [createDraft(getDefaultDraftName(), Array.isArray(legacy) ? legacy : [])];
+            state.activeDraftId = state.drafts[0].id;
+        }
+        state.busyBlocks = Array.isArray(busyBlocks) ? busyBlocks : [];
+    } catch (error) {
+        console.error('Error loading from storage:', error);
+    }
+    
+    if (!Array.isArray(state.drafts) || state.drafts.length === 0) {
+        state.drafts = [createDraft(getDefaultDraftName())];
+    }
+    if (!getActiveDraft()) {
+        state.activeDraftId = state.drafts[0].id;
+    }
+    
+    state.selectedCourses = [...getActiveDraft().courses];
+    updateSummary();
+    renderSchedule();
+    renderDrafts();
+}
+
+/**
+ * Save scoring preferences to localStorage
+ */
+function savePreferences() {
+    try {
+        localStorage.setItem(CONFIG.PREFERENCES_STORAGE_KEY, JSON.stringify(state.preferences));
+    } catch (error) {
+        console.error('Error saving preferences:', error);
+    }
+}
+
+/**
+ * Load scoring preferences from localStorage (merged over defaults)
+ */
+function loadPreferences() {
+    try {
+        const saved = localStorage.getItem(CONFIG.PREFERENCES_STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            state.preferences = {
+                ...structuredClone(CONFIG.DEFAULT_PREFERENCES),
+                ...parsed,
+                weights: { ...CONFIG.DEFAULT_PREFERENCES.weights, ...parsed.weights }
+            };
+        }
+    } catch (error) {
+        console.error('Error loading preferences:', error);
+    }
+}
+
+/**
+ * Save passed course codes to localStorage
+ */
+function savePassedCourses() {
+    try {
+        localStorage.setItem(CONFIG.PASSED_STORAGE_KEY, JSON.stringify(state.passedCourses));
+    } catch (error) {
+        console.error('Error saving passed courses:', error);
+    }
+}
+
+/**
+ * Load passed course codes from localStorage
+ */
+function loadPassedCourses() {
+    try {
+        const saved = localStorage.getItem(CONFIG.PASSED_STORAGE_KEY);
+        if (saved) {
+            state.passedCourses = JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('Error loading passed courses:', error);
+    }
+}
+
+/**
+ * Save semester calendar to localStorage
+ */
+function saveSemester() {
+    try {
+        localStorage.setItem(CONFIG.SEMESTER_STORAGE_KEY, JSON.stringify(state.semester));
+    } catch (error) {
+        console.error('Error saving semester:', error);
+    }
+}
+
+/**
+ * Load semester calendar from localStorage
+ */
+function loadSemester() {
+    try {
+        const saved = localStorage.getItem(CONFIG.SEMESTER_STORAGE_KEY);
+        if (saved) {
+            state.semester = { ...state.semester, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.error('Error loading semester:', error);
+    }
+}
+
+/**
+ * Save student details for the PDF header
+ */
+function saveStudent() {
+    try {
+        localStorage.setItem(CONFIG.STUDENT_STORAGE_KEY, JSON.stringify(state.student));
+    } catch (error) {
+        console.error('Error saving student details:', error);
+    }
+}
+
+/**
+ * Load student details for the PDF header
+ */
+function loadStudent() {
+    try {
+        const saved = localStorage.getItem(CONFIG.STUDENT_STORAGE_KEY);
+        if (saved) {
+            state.student = { ...state.student, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.error('Error loading student details:', error);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SEARCH FUNCTIONALITY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Normalize Persian/Arabic text for searching
+ * Unifies ی/ي, ک/ك, alef forms, digits and case, drops diacritics, and
+ * treats spaces and ZWNJ alike. Returns the text without separators
+ * (`compact`), its words, and a map from compact index to original index
+ */
+function normalizeSearchText(text) {
+    const replacements = {
+        'ي': 'ی', 'ى': 'ی', 'ئ': 'ی', 'ك': 'ک', 'ة': 'ه', 'ؤ': 'و',
+        'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا'
+    };
+    
+    text = String(text || '');
+    let compact = '';
+    const map = [];
+    const wordStarts = [];
+    let atWordStart = true;
+    
+    for (let i = 0; i < text.length; i++) {
+        let char = text[i];
+        
+        // Diacritics and tatweel
+        if (/[\u064B-\u065F\u0670\u0640]/.test(char)) continue;
+        
+        // Spaces, ZWNJ and punctuation separate words
+        if (/[\s\u200C\-_.,،()]/.test(char)) {
+            atWordStart = true;
+            continue;
+        }
+        
+        char = replacements[char] || toLatinDigits(char).toLowerCase();
+        if (atWordStart) {
+            wordStarts.push(compact.length);
+            atWordStart = false;
+        }
+        compact += char;
+        map.push(i);
+    }
+    
+    const words = wordStarts.map((start, index) => ({
+        start,
+        end: index + 1 < wordStarts.length ? wordStarts[index + 1] : compact.length
+    }));
+    
+    return { compact, map, words };
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein with transpositions)
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Typos tolerated for a query token of a given length
+ */
+function getTypoTolerance(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Match one normalized query token against a normalized field
+ * Returns { score, start, end } in compact indices, or null
+ */
+function matchToken(token, field) {
+    const index = field.compact.indexOf(token);
+    if (index !== -1) {
+        const isWordStart = field.words.some(word => word.start === index);
+        return { score: isWordStart ? 3 : 2, start: index, end: index + token.length };
+    }
+    
+    // Fuzzy: compare with each word (and its prefix, for words still being typed)
+    const tolerance = getTypoTolerance(token.length);
+    if (tolerance === 0) return null;
+    
+    let best = null;
+    field.words.forEach(word => {
+        const text = field.compact.slice(word.start, word.end);
+        const distance = Math.min(
+            editDistance(token, text),
+            editDistance(token, text.slice(0, token.length))
+        );
+        if (distance <= tolerance && (!best || distance < best.distance)) {
+            best = { distance, start: word.start, end: word.end };
+        }
+    });
+    
+    return best ? { score: 1 - best.distance / (tolerance + 1), start: best.start, end: best.end } : null;
+}
+
+/**
+ * Score a course against a query; every token must match some field
+ * Returns { score, highlights } where highlights maps field -> original ranges
+ */
+function scoreCourseMatch(course, query) {
+    const normalized = normalizeSearchText(query);
+    const tokens = normalized.words.map(word => normalized.compact.slice(word.start, word.end));
+    if (tokens.length === 0) return { score: 0, highlights: {} };
+    
+    const fields = {};
+    Object.keys(CONFIG.SEARCH_FIELD_WEIGHTS).forEach(key => {
+        fields[key] = normalizeSearchText(course[key]);
+    });
+    
+    let total = 0;
+    const highlights = {};
+    
+    for (const token of tokens) {
+        let best = null;
+        Object.entries(fields).forEach(([key, field]) => {
+            const match = matchToken(token, field);
+            if (!match) return;
+            
+            const score = match.score * CONFIG.SEARCH_FIELD_WEIGHTS[key];
+            if (!best || score > best.score) {
+                best = { key, score, field, match };
+            }
+            
+            // Highlight every field the token appears in
+            (highlights[key] = highlights[key] || []).push([
+                field.map[match.start],
+                field.map[match.end - 1] + 1
+            ]);
+        });
+        
+        if (!best) return null;
+        total += best.score;
+    }
+    
+    return { score: total, highlights };
+}
+
+/**
+ * Wrap highlighted ranges of a text in <mark>
+ */
+function highlightText(text, ranges = []) {
+    if (ranges.length === 0) return text;
+    
+    const merged = [...ranges].sort((a, b) => a[0] - b[0]).reduce((list, range) => {
+        const last = list[list.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            list.push([...range]);
+        }
+        return list;
+    }, []);
+    
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+        html += text.slice(cursor, start) + `<mark>${text.slice(start, end)}</mark>`;
+        cursor = end;
+    });
+    return html + text.slice(cursor);
+}
+
+/**
+ * Whether any search facet is set
+ */
+function hasActiveFilters() {
+    const f = state.filters;
+    return f.days.length > 0 || f.from !== null || f.to !== null || f.units !== '' || f.professor !== '' || f.fitsOnly;
+}
+
+/**
+ * Check a course against the search facets
+ */
+function matchesFilters(course) {
+    const f = state.filters;
+    
+    if (f.days.length > 0 && !course.schedule.some(slot => f.days.includes(slot.day))) return false;
+    if (f.from !== null && course.schedule.some(slot => parseTime(slot.start) < f.from)) return false;
+    if (f.to !== null && course.schedule.some(slot => parseTime(slot.end) > f.to)) return false;
+    if (f.units !== '' && course.units !== Number(f.units)) return false;
+    if (f.professor !== '' && course.professor !== f.professor) return false;
+    if (f.fitsOnly && !fitsSelection(course, [getCourseId(course)])) return false;
+    
+    return true;
+}
+
+/**
+ * Filter and rank courses based on search query and facets
+ * Returns all matching courses (no limit when searching or filtering)
+ */
+function filterCourses(query) {
+    const normalizedQuery = query.trim();
+    
+    if (!normalizedQuery && !hasActiveFilters()) {
+        // Return first N courses when no query (for initial display)
+        return state.courses.slice(0, CONFIG.INITIAL_COURSE_COUNT);
+    }
+    
+    const candidates = state.courses.filter(matchesFilters);
+    if (!normalizedQuery) return candidates;
+    
+    return candidates
+        .map((course, index) => ({ course, index, match: scoreCourseMatch(course, normalizedQuery) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => (b.match.score - a.match.score) || (a.index - b.index))
+        .map(entry => entry.course);
+}
+
+/**
+ * Render search facet controls from the current catalog
+ */
+function renderSearchFilters() {
+    const f = state.filters;
+    const units = [...new Set(state.courses.map(c => c.units))].sort((a, b) => a - b);
+    const professors = [...new Set(state.courses.map(c => c.professor).filter(Boolean))].sort();
+    
+    const hourOptions = selected => ['', ...CONFIG.HOURS, CONFIG.HOURS[CONFIG.HOURS.length - 1] + 1].map(hour => `
+        <option value="${hour}" ${String(selected ?? '') === String(hour) ? 'selected' : ''}>${hour === '' ? '—' : `${toPersianNumber(hour)}:۰۰`}</option>
+    `).join('');
+    
+    elements.searchFilters.innerHTML = `
+        <div class="filter-row">
+            ${CONFIG.DAYS.map(day => `
+                <label class="filter-chip">
+                    <input type="checkbox" data-filter="days" value="${day}" ${f.days.includes(day) ? 'checked' : ''}>
+                    <span>${day}</span>
+                </label>
+            `).join('')}
+        </div>
+        <div class="filter-row">
+            <label class="filter-field">از ساعت
+                <select class="pref-select" data-filter="from">${hourOptions(f.from)}</select>
+            </label>
+            <label class="filter-field">تا ساعت
+                <select class="pref-select" data-filter="to">${hourOptions(f.to)}</select>
+            </label>
+            <label class="filter-field">واحد
+                <select class="pref-select" data-filter="units">
+                    <option value="">همه</option>
+                    ${units.map(u => `<option value="${u}" ${String(f.units) === String(u) ? 'selected' : ''}>${toPersianNumber(u)}</option>`).join('')}
+                </select>
+            </label>
+            <label class="filter-field">استاد
+                <select class="pref-select" data-filter="professor">
+                    <option value="">همه</option>
+                    ${professors.map(p => `<option value="${p}" ${f.professor === p ? 'selected' : ''}>${p}</option>`).join('')}
+                </select>
+            </label>
+            <label class="filter-chip">
+                <input type="checkbox" data-filter="fitsOnly" ${f.fitsOnly ? 'checked' : ''}>
+                <span>فقط بدون تداخل با برنامه من</span>
+            </label>
+        </div>
+    `;
+    
+    elements.searchFilters.querySelectorAll('[data-filter]').forEach(input => {
+        input.addEventListener('change', () => updateFilter(input));
+    });
+    
+    elements.btnToggleFilters.classList.toggle('has-filters', hasActiveFilters());
+    renderProfessorFilterChip();
+}
+
+/**
+ * Read one facet control into state and refresh results
+ */
+function updateFilter(input) {
+    const key = input.dataset.filter;
+    const f = state.filters;
+    
+    if (key === 'days') {
+        f.days = f.days.filter(day => day !== input.value);
+        if (input.checked) f.days.push(input.value);
+    } else if (key === 'fitsOnly') {
+        f.fitsOnly = input.checked;
+    } else if (key === 'from' || key === 'to') {
+        f[key] = input.value === '' ? null : Number(input.value);
+    } else {
+        f[key] = input.value;
+    }
+    
+    elements.btnToggleFilters.classList.toggle('has-filters', hasActiveFilters());
+    renderProfessorFilterChip();
+    showSearchResults(false);
+}
+
+/**
+ * Render search results
+ */
+function renderSearchResults(courses, isInitial = false) {
+    if (courses.length === 0) {
+        elements.resultsCount.textContent = 'نتیجه‌ای یافت نشد';
+        setActiveResult(-1);
+        elements.resultsList.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <circle cx="11" cy="11" r="8"></circle>
+                    <path d="m21 21-4.35-4.35"></path>
+                </svg>
+                <p>درسی با این مشخصات یافت نشد</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const countText = isInitial && !hasActiveFilters()
+        ? `${toPersianNumber(courses.length)} درس اول` 
+        : `${toPersianNumber(courses.length)} نتیجه`;
+    elements.resultsCount.textContent = countText;
+    
+    const query = elements.searchInput.value.trim();
+    
+    elements.resultsList.innerHTML = courses.map((course, index) => {
+        const courseId = getCourseId(course);
+        const isSelected = state.selectedCourses.includes(courseId);
+        const highlights = query ? (scoreCourseMatch(course, query) || {}).highlights || {} : {};
+        
+        const scheduleHtml = course.schedule.map(s => 
+            `<span class="schedule-tag">${s.day} ${toPersianTime(s.start)}-${toPersianTime(s.end)}${getParityLabel(s)}</span>`
+        ).join('');
+        
+        return `
+            <div class="course-result" id="search-result-${index}" role="option" aria-selected="false" data-course-id="${courseId}">
+                <div class="course-result-header">
+                    <span class="course-result-name">${highlightText(course.name, highlights.name)}</span>
+                    <span class="course-result-code">${highlightText(course.code, highlights.code)}</span>
+                </div>
+                <div class="course-result-meta">
+                    <span>استاد: ${highlightText(course.professor, highlights.professor)}</span>
+                    <span>${toPersianNumber(course.units)} واحد</span>
+                    <span>گروه ${toPersianNumber(course.group)}</span>
+                    ${renderSeatBadge(course)}
+                    ${getMissingPrerequisites(course).length > 0 ? '<span class="course-result-warning">پیش‌نیاز گذرانده نشده</span>' : ''}
+                </div>
+                <div class="course-result-schedule">
+                    ${scheduleHtml}
+                    ${course.exam ? `<span class="schedule-tag exam-tag">امتحان ${formatExam(course.exam)}</span>` : ''}
+                </div>
+                <button class="btn-add-course" ${isSelected ? 'disabled' : ''} data-course-id="${courseId}">
+                    ${isSelected ? '✓ اضافه شده' : '+ افزودن به برنامه'}
+                </button>
+            </div>
+        `;
+    }).join('');
+    
+    // Add event listeners to add buttons
+    elements.resultsList.querySelectorAll('.btn-add-course').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const courseId = btn.dataset.courseId;
+            addCourse(courseId);
+        });
+    });
+    
+    // Keep the keyboard highlight in range after re-rendering
+    setActiveResult(Math.min(state.activeResultIndex, courses.length - 1));
+}
+
+/**
+ * Show search results dropdown
+ * @param {boolean} isInitial - Whether this is initial load (show first 10)
+ */
+function showSearchResults(isInitial = false) {
+    const query = elements.searchInput.value;
+    const filtered = filterCourses(query);
+    renderSearchResults(filtered, isInitial && !query.trim());
+    elements.searchResults.classList.add('active');
+    elements.searchInput.setAttribute('aria-expanded', 'true');
+    elements.searchClear.classList.add('visible');
+}
+
+/**
+ * Hide search results dropdown
+ */
+function hideSearchResults() {
+    setTimeout(() => {
+        elements.searchResults.classList.remove('active');
+        elements.searchInput.setAttribute('aria-expanded', 'false');
+        setActiveResult(-1);
+    }, 200);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PROFESSOR DIRECTORY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Instructors of the catalog: name -> sections they teach, by course code and group
+ */
+function getProfessorIndex() {
+    const index = new Map();
+    state.courses.forEach(course => {
+        if (!course.professor) return;
+        if (!index.has(course.professor)) {
+            index.set(course.professor, []);
+        }
+        index.get(course.professor).push(course);
+    });
+    
+    index.forEach(sections => {
+        sections.sort((a, b) => a.code.localeCompare(b.code) || (Number(a.group) - Number(b.group)));
+    });
+    return new Map([...index].sort(([a], [b]) => a.localeCompare(b, 'fa')));
+}
+
+/**
+ * Open the professor directory, optionally on one instructor
+ */
+function showProfessorModal(name = null) {
+    closeAllModals();
+    
+    if (name) state.activeProfessor = name;
+    elements.professorSearch.value = '';
+    renderProfessorList();
+    renderProfessorDetail();
+    elements.professorModal.classList.add('active');
+}
+
+/**
+ * Render instructors matching the directory search
+ */
+function renderProfessorList() {
+    const index = getProfessorIndex();
+    const query = normalizeSearchText(elements.professorSearch.value).compact;
+    const names = [...index.keys()].filter(name => !query || normalizeSearchText(name).compact.includes(query));
+    
+    if (!index.has(state.activeProfessor)) {
+        state.activeProfessor = names[0] || null;
+    }
+    
+    elements.professorList.innerHTML = names.length === 0
+        ? '<p class="suggestion-empty">استادی یافت نشد</p>'
+        : names.map(name => {
+            const sections = index.get(name);
+            const courseCount = new Set(sections.map(section => section.code)).size;
+            return `
+                <button class="professor-item ${name === state.activeProfessor ? 'active' : ''}" data-professor="${name}">
+                    <span class="professor-item-name">${name}</span>
+                    <span class="professor-item-count">${toPersianNumber(courseCount)} درس · ${toPersianNumber(sections.length)} گروه</span>
+                </button>
+            `;
+        }).join('');
+    
+    elements.professorList.querySelectorAll('.professor-item').forEach(item => {
+        item.addEventListener('click', () => {
+            state.activeProfessor = item.dataset.professor;
+            renderProfessorList();
+            renderProfessorDetail();
+        });
+    });
+}
+
+/**
+ * Compact weekly grid of a set of sections, blocks in course colours
+ */
+function renderMiniWeeklyGrid(sections) {
+    const items = collectScheduleItems(sections.map(getCourseId));
+    const hours = getGridHours(items);
+    const first = hours[0];
+    const span = hours.length;
+    const position = (start, end) => `right: ${(start - first) / span * 100}%; width: ${(end - start) / span * 100}%;`;
+    
+    const rows = CONFIG.DAYS.map(day => {
+        const dayItems = items.filter(item => item.slot.day === day);
+        layoutDaySlots(dayItems);
+        
+        return `
+            <div class="mini-grid-row">
+                <span class="mini-grid-day">${day}</span>
+                <div class="mini-grid-track">
+                    ${dayItems.map(({ course, slot, start, end, lane, laneCount }) => `
+                        <span class="mini-grid-block" title="${course.name} - گروه ${toPersianNumber(course.group)} - ${toPersianTime(slot.start)}-${toPersianTime(slot.end)}${getParityLabel(slot)}"
+                            style="${position(start, end)} ${getBlockVerticalPosition(slot, lane, laneCount)} background-color: ${course.color};"></span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    return `
+        <div class="mini-grid" style="--mini-grid-hours: ${span};" aria-hidden="true">
+            <div class="mini-grid-row mini-grid-header">
+                <span class="mini-grid-day"></span>
+                <div class="mini-grid-track">
+                    ${hours.map(hour => `<span class="mini-grid-hour" style="${position(hour, hour + 1)}">${toPersianNumber(hour)}</span>`).join('')}
+                </div>
+            </div>
+            ${rows}
+        </div>
+    `;
+}
+
+/**
+ * Render the selected instructor: weekly grid and every section they teach
+ */
+function renderProfessorDetail() {
+    const name = state.activeProfessor;
+    const sections = (name && getProfessorIndex().get(name)) || [];
+    
+    if (sections.length === 0) {
+        elements.professorDetail.innerHTML = '<p class="suggestion-empty">استادی انتخاب نشده است</p>';
+        return;
+    }
+    
+    elements.professorDetail.innerHTML = `
+        <div class="professor-detail-header">
+            <h4 class="professor-detail-name">${name}</h4>
+            <button class="btn-secondary" id="btnFilterByProfessor">فقط گروه‌های این استاد در جستجو</button>
+        </div>
+        ${renderMiniWeeklyGrid(sections)}
+        <div class="professor-sections">
+            ${sections.map(section => {
+                const id = getCourseId(section);
+                const isSelected = state.selectedCourses.includes(id);
+                return `
+                    <div class="suggestion-item">
+                        <span class="professor-section-color" style="background-color: ${section.color};"></span>
+                        <span class="suggestion-text">
+                            ${section.name} - گروه ${toPersianNumber(section.group)} (${toPersianNumber(section.units)} واحد)
+                            <span class="suggestion-time">${formatSchedule(section.schedule)}</span>
+                        </span>
+                        <button class="btn-secondary btn-swap" data-add="${id}" ${isSelected ? 'disabled' : ''}>${isSelected ? 'در برنامه' : 'افزودن'}</button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    
+    elements.professorDetail.querySelector('#btnFilterByProfessor')
+        .addEventListener('click', () => setProfessorFilter(name));
+    elements.professorDetail.querySelectorAll('.btn-swap').forEach(btn => {
+        btn.addEventListener('click', () => {
+            addCourse(btn.dataset.add);
+            renderProfessorDetail();
+        });
+    });
+}
+
+/**
+ * Show only one instructor's sections in the main search (empty name clears the mode)
+ */
+function setProfessorFilter(name) {
+    state.filters.professor = name;
+    renderSearchFilters();
+    
+    if (elements.professorModal.classList.contains('active')) {
+        // Focus returns to the search box once the directory closes
+        state.modalReturnFocus = elements.searchInput;
+        closeAllModals();
+    } else {
+        elements.searchInput.focus();
+    }
+    showSearchResults(false);
+}
+
+/**
+ * Chip under the search box while the search is limited to one instructor
+ */
+function renderProfessorFilterChip() {
+    const name = state.filters.professor;
+    elements.professorFilterChip.classList.toggle('hidden', !name);
+    elements.professorFilterChip.innerHTML = name ? `فقط گروه‌های ${name} <span aria-hidden="true">✕</span>` : '';
+    elements.professorFilterChip.setAttribute('aria-label', name ? `حذف فیلتر استاد ${name}` : '');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COURSE MANAGEMENT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Check if a course fits the selection and busy blocks without weekly or exam conflicts
+ * Course IDs in `ignoreIds` are treated as not selected
+ */
+function fitsSelection(course, ignoreIds = []) {
+    if (findBusyConflict(course)) return false;
+    
+    return state.selectedCourses.every(id => {
+        if (ignoreIds.includes(id)) return true;
+        const selected = findCourseById(id);
+        return !selected ||
+            (!checkConflict(course, selected).hasConflict && !checkExamConflict(course, selected).hasConflict);
+    });
+}
+
+/**
+ * Add a course to the schedule
+ */
+function addCourse(courseId) {
+    if (blockWhenReadOnly()) return;
+    
+    const course = findCourseById(courseId);
+    if (!course) return;
+    
+    const before = captureSnapshot();
+    
+    // Check if already selected
+    if (state.selectedCourses.includes(courseId)) {
+        showToast('این درس قبلاً اضافه شده است', 'warning');
+        return;
+    }
+    
+    // Check for conflicts with existing courses
+    for (const existingId of state.selectedCourses) {
+        const existingCourse = findCourseById(existingId);
+        if (existingCourse) {
+            const conflict = checkConflict(course, existingCourse);
+            if (conflict.hasConflict) {
+                showConflictModal(course, existingCourse, conflict);
+                return;
+            }
+            
+            const examConflict = checkExamConflict(course, existingCourse);
+            if (examConflict.hasConflict) {
+                showConflictModal(course, existingCourse, { ...examConflict, type: 'exam' });
+                return;
+            }
+        }
+    }
+    
+    // Busy blocks count as conflicts too
+    const busyConflict = findBusyConflict(course);
+    if (busyConflict) {
+        showConflictModal(course, busyConflict.block, { ...busyConflict.conflict, type: 'busy' });
+        return;
+    }
+    
+    // Check prerequisites against passed courses
+    const missingPrerequisites = getMissingPrerequisites(course);
+    if (missingPrerequisites.length > 0) {
+        const message = `پیش‌نیاز درس "${course.name}" گذرانده نشده است: ${missingPrerequisites.map(describeCode).join('، ')}`;
+        if (CONFIG.PREREQUISITE_MODE === 'block') {
+            showToast(message, 'error');
+            return;
+        }
+        if (!confirm(`${message}\n\nبا این وجود اضافه شود؟`)) {
+            return;
+        }
+    }
+    
+    // Add course
+    state.selectedCourses.push(courseId);
+    saveToStorage();
+    updateSummary();
+    renderSchedule();
+    renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
+    
+    // A caller that paused history records the change and reports it itself
+    if (!state.history.paused) {
+        const entry = recordHistory(`افزودن "${course.name}"`, before);
+        showToast(`درس "${course.name}" اضافه شد`, 'success', getUndoAction(entry));
+    }
+    
+    if (isSectionFull(course)) {
+        showToast(`ظرفیت گروه ${toPersianNumber(course.group)} "${course.name}" تکمیل است؛ از جزئیات درس گروه پشتیبان تعیین کنید`, 'warning');
+    }
+    
+    // Same-day exams are allowed but flagged
+    const sameDayExams = state.selectedCourses
+        .filter(id => id !== courseId)
+        .map(findCourseById)
+        .filter(other => other && checkExamConflict(course, other).sameDay);
+    if (sameDayExams.length > 0) {
+        showToast(`امتحان "${course.name}" با امتحان "${sameDayExams.map(c => c.name).join('، ')}" در یک روز است`, 'warning');
+    }
+    
+    offerCorequisites(course);
+}
+
+/**
+ * Remove a course from the schedule
+ */
+function removeCourse(courseId) {
+    if (blockWhenReadOnly()) return;
+    
+    const index = state.selectedCourses.indexOf(courseId);
+    if (index === -1) return;
+    
+    const course = findCourseById(courseId);
+    const before = captureSnapshot();
+    
+    state.selectedCourses.splice(index, 1);
+    saveToStorage();
+    updateSummary();
+    renderSchedule();
+    
+    // Update search results if visible
+    if (elements.searchResults.classList.contains('active')) {
+        renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
+    }
+    
+    // Update list modal if open
+    if (elements.listModal.classList.contains('active')) {
+        renderSelectedList();
+    }
+    
+    closeAllModals();
+    
+    const entry = recordHistory(`حذف "${course ? course.name : courseId}"`, before);
+    if (course) {
+        showToast(`درس "${course.name}" حذف شد`, 'info', getUndoAction(entry));
+    }
+}
+
+/**
+ * Reset all selected courses
+ */
+function resetSchedule() {
+    if (blockWhenReadOnly()) return;
+    
+    if (state.selectedCourses.length === 0) {
+        showToast('برنامه خالی است', 'warning');
+        return;
+    }
+    
+    if (confirm('آیا مطمئن هستید که می‌خواهید تمام دروس را حذف کنید؟')) {
+        const before = captureSnapshot();
+        state.selectedCourses = [];
+        saveToStorage();
+        updateSummary();
+        renderSchedule();
+        
+        if (elements.searchResults.classList.contains('active')) {
+            renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
+        }
+        
+        const entry = recordHistory('ریست برنامه', before);
+        showToast('برنامه ریست شد', 'info', getUndoAction(entry));
+    }
+}
+
+/**
+ * Update summary display
+ */
+function updateSummary() {
+    const courseIds = getDisplayedCourseIds();
+    const totalCourses = courseIds.length;
+    const totalUnits = courseIds.reduce((sum, courseId) => {
+        const course = findCourseById(courseId);
+        return sum + (course ? course.units : 0);
+    }, 0);
+    
+    elements.selectedCount.textContent = toPersianNumber(totalCourses);
+    elements.totalUnits.textContent = toPersianNumber(totalUnits);
+    
+    renderUnitStatus(totalUnits);
+    renderScoreSummary();
+    if (state.drafts.length > 0) {
+        renderDrafts();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SECTION CAPACITY & BACKUPS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Seats of a section from the catalog, or null when it has no capacity
+ * remaining is null when enrollment is unknown
+ */
+function getSeatStatus(course) {
+    if (course.capacity === null || course.capacity === undefined) return null;
+    
+    const enrolled = course.enrolled ?? null;
+    const remaining = enrolled === null ? null : Math.max(0, course.capacity - enrolled);
+    return { capacity: course.capacity, enrolled, remaining, isFull: remaining === 0 };
+}
+
+/**
+ * Check whether a section has no seats left
+ */
+function isSectionFull(course) {
+    return Boolean(getSeatStatus(course)?.isFull);
+}
+
+/**
+ * Badge with the seat status of a section ("تکمیل", "۳ جای خالی", or capacity only)
+ */
+function renderSeatBadge(course) {
+    const seats = getSeatStatus(course);
+    if (!seats) return '';
+    
+    if (seats.isFull) {
+        return `<span class="seat-badge full" title="${toPersianNumber(seats.enrolled)} از ${toPersianNumber(seats.capacity)}">تکمیل</span>`;
+    }
+    if (seats.remaining === null) {
+        return `<span class="seat-badge">ظرفیت ${toPersianNumber(seats.capacity)}</span>`;
+    }
+    
+    const isLow = seats.remaining <= CONFIG.LOW_SEATS_THRESHOLD;
+    return `<span class="seat-badge${isLow ? ' low' : ''}" title="${toPersianNumber(seats.enrolled)} از ${toPersianNumber(seats.capacity)}">${toPersianNumber(seats.remaining)} جای خالی</span>`;
+}
+
+/**
+ * Backup section IDs chosen for a course code in the active draft, in order of preference
+ */
+function getBackupSections(code) {
+    const backups = getActiveDraft()?.backups?.[code] || [];
+    return backups.filter(id => findCourseById(id));
+}
+
+/**
+ * Add or remove a backup section for a course code
+ */
+function toggleBackupSection(code, sectionId, isBackup) {
+    const draft = getActiveDraft();
+    if (!draft) return;
+    
+    draft.backups = draft.backups || {};
+    const backups = (draft.backups[code] || []).filter(id => id !== sectionId);
+    if (isBackup) backups.push(sectionId);
+    
+    if (backups.length > 0) {
+        draft.backups[code] = backups;
+    } else {
+        delete draft.backups[code];
+    }
+    saveToStorage();
+}
+
+/**
+ * Move a selected course to one of its backup sections
+ */
+function useBackupSection(courseId, backupId) {
+    const backup = findCourseById(backupId);
+    if (!backup) return;
+    
+    closeAllModals();
+    switchSection(courseId, backupId);
+    if (state.selectedCourses.includes(backupId)) {
+        toggleBackupSection(backup.code, backupId, false);
+    }
+}
+
+/**
+ * Backup choices for a selected course, shown in the course modal
+ */
+function renderBackupSections(course) {
+    const courseId = getCourseId(course);
+    const backups = getBackupSections(course.code);
+    const rank = section => {
+        const index = backups.indexOf(getCourseId(section));
+        return index === -1 ? Infinity : index;
+    };
+    const others = state.courses
+        .filter(section => section.code === course.code && getCourseId(section) !== courseId)
+        .sort((a, b) => rank(a) - rank(b));
+    
+    if (others.length === 0) return '';
+    
+    return `
+        <div class="course-info-item">
+            <span class="course-info-label">گروه‌های پشتیبان</span>
+            <div class="backup-list">
+                ${others.map(section => {
+                    const id = getCourseId(section);
+                    const order = backups.indexOf(id);
+                    const fits = fitsSelection(section, [courseId]);
+                    return `
+                        <div class="backup-item">
+                            <label class="pref-check">
+                                <input type="checkbox" data-backup="${id}" ${order !== -1 ? 'checked' : ''}>
+                                <span>${order !== -1 ? `${toPersianNumber(order + 1)}. ` : ''}گروه ${toPersianNumber(section.group)} - ${section.professor || 'بدون استاد'}</span>
+                            </label>
+                            ${renderSeatBadge(section)}
+                            <span class="suggestion-time">${formatSchedule(section.schedule)}${fits ? '' : ' (تداخل دارد)'}</span>
+                            ${order !== -1 ? `<button class="btn-secondary btn-swap" data-use-backup="${id}" ${fits && !isSectionFull(section) ? '' : 'disabled'}>جایگزینی</button>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <p class="form-hint">اگر این گروه پر شد، گروه‌های پشتیبان را به همین ترتیب جایگزین کنید.</p>
+        </div>
+    `;
+}
+
+/**
+ * Warn about selected sections the current catalog reports as full
+ */
+function notifyFullSelections() {
+    const full = state.selectedCourses.map(findCourseById).filter(course => course && isSectionFull(course));
+    if (full.length === 0) return;
+    
+    const withBackup = full.filter(course => getBackupSections(course.code).length > 0);
+    const hint = withBackup.length > 0 ? '؛ از جزئیات درس به گروه پشتیبان بروید' : '؛ از جزئیات درس گروه پشتیبان تعیین کنید';
+    showToast(`ظرفیت ${full.map(course => `"${course.name}" گروه ${toPersianNumber(course.group)}`).join('، ')} تکمیل است${hint}`, 'warning');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// UNIT POLICIES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Unit policies built from the limits, checked in order (probation first)
+ */
+function getUnitPolicies(limits = state.unitLimits) {
+    return [
+        { id: 'probation', label: 'مشروط', min: limits.min, max: limits.probationMax },
+        { id: 'honors', label: `معدل ${toPersianNumber(limits.honorsGpa)} به بالا`, min: limits.min, max: limits.honorsMax },
+        { id: 'normal', label: 'عادی', min: limits.min, max: limits.max }
+    ];
+}
+
+/**
+ * Unit policy that applies to a standing
+ */
+function getUnitPolicy(standing = state.standing, limits = state.unitLimits) {
+    const [probation, honors, normal] = getUnitPolicies(limits);
+    if (standing.probation) return probation;
+    if (standing.gpa !== null && standing.gpa >= limits.honorsGpa) return honors;
+    return normal;
+}
+
+/**
+ * Check a unit total against the student's policy
+ * Returns { ok, policy, message }
+ */
+function checkUnitPolicy(totalUnits) {
+    const policy = getUnitPolicy();
+    let message = `مجاز (${toPersianNumber(policy.min)} تا ${toPersianNumber(policy.max)} واحد)`;
+    let ok = true;
+    
+    if (totalUnits < policy.min) {
+        ok = false;
+        message = `کمتر از حداقل ${toPersianNumber(policy.min)} واحد`;
+    } else if (totalUnits > policy.max) {
+        ok = false;
+        message = `بیشتر از سقف ${toPersianNumber(policy.max)} واحد`;
+    }
+    
+    return { ok, policy, message };
+}
+
+/**
+ * Render unit policy status in the summary area
+ */
+function renderUnitStatus(totalUnits) {
+    const { ok, policy, message } = checkUnitPolicy(totalUnits);
+    elements.unitStatus.textContent = `${policy.label}: ${message}`;
+    elements.unitStatus.classList.toggle('ok', ok);
+    elements.unitStatus.classList.toggle('violation', !ok);
+}
+
+/**
+ * Ask before exporting a plan that breaks the unit policy
+ * Returns true when the export should go ahead
+ */
+function confirmUnitPolicy() {
+    const { ok, policy, message } = checkUnitPolicy(sumUnits(getDisplayedCourseIds()));
+    if (ok) return true;
+    
+    showToast(`تعداد واحد با قوانین (${policy.label}) مطابقت ندارد`, 'warning');
+    return confirm(`تعداد واحدهای برنامه ${message} است (وضعیت ${policy.label}).\n\nبا این حال خروجی گرفته شود؟`);
+}
+
+/**
+ * Show academic standing modal
+ */
+function showStandingModal() {
+    elements.standingGpa.value = state.standing.gpa ?? '';
+    elements.standingProbation.checked = state.standing.probation;
+    elements.standingPolicies.innerHTML = getUnitPolicies().map(policy => `
+        <li>${policy.label}: ${toPersianNumber(policy.min)} تا ${toPersianNumber(policy.max)} واحد</li>
+    `).join('');
+    elements.unitLimitInputs.forEach(input => {
+        input.value = state.unitLimits[input.dataset.limit];
+    });
+    elements.standingModal.classList.add('active');
+}
+
+/**
+ * Save academic standing and refresh the unit status
+ */
+function saveStanding() {
+    const gpaText = toLatinDigits(elements.standingGpa.value).trim();
+    const gpa = gpaText === '' ? null : Number(gpaText);
+    
+    if (gpa !== null && (Number.isNaN(gpa) || gpa < 0 || gpa > 20)) {
+        showToast('معدل باید عددی بین ۰ تا ۲۰ باشد', 'warning');
+        return;
+    }
+    
+    const limits = {};
+    elements.unitLimitInputs.forEach(input => {
+        const text = toLatinDigits(input.value).trim();
+        limits[input.dataset.limit] = text === '' ? NaN : Number(text);
+    });
+    const limitError = validateUnitLimits(limits);
+    if (limitError) {
+        showToast(limitError, 'warning');
+        return;
+    }
+    
+    state.standing = { gpa, probation: elements.standingProbation.checked };
+    state.unitLimits = limits;
+    
+    try {
+        localStorage.setItem(CONFIG.STANDING_STORAGE_KEY, JSON.stringify(state.standing));
+        localStorage.setItem(CONFIG.UNIT_LIMITS_STORAGE_KEY, JSON.stringify(state.unitLimits));
+    } catch (error) {
+        console.error('Error saving standing:', error);
+    }
+    
+    updateSummary();
+    closeAllModals();
+    showToast('وضعیت تحصیلی ذخیره شد', 'success');
+}
+
+/**
+ * Problem with a set of unit limits, or null when they are usable
+ */
+function validateUnitLimits(limits) {
+    const units = ['min', 'max', 'honorsMax', 'probationMax'];
+    if (units.some(key => !Number.isInteger(limits[key]) || limits[key] < 0)) {
+        return 'سقف و حداقل واحد باید عدد صحیح باشد';
+    }
+    if (Number.isNaN(limits.honorsGpa) || limits.honorsGpa < 0 || limits.honorsGpa > 20) {
+        return 'معدل لازم برای سقف بالاتر باید بین ۰ تا ۲۰ باشد';
+    }
+    if (['max', 'honorsMax', 'probationMax'].some(key => limits[key] < limits.min)) {
+        return 'هیچ سقفی نباید کمتر از حداقل واحد باشد';
+    }
+    return null;
+}
+
+/**
+ * Load academic standing and unit limits from localStorage (limits merged over defaults)
+ */
+function loadStanding() {
+    try {
+        const saved = localStorage.getItem(CONFIG.STANDING_STORAGE_KEY);
+        if (saved) {
+            state.standing = { ...state.standing, ...JSON.parse(saved) };
+        }
+        
+        const savedLimits = localStorage.getItem(CONFIG.UNIT_LIMITS_STORAGE_KEY);
+        if (savedLimits) {
+            const limits = { ...CONFIG.DEFAULT_UNIT_LIMITS, ...JSON.parse(savedLimits) };
+            if (!validateUnitLimits(limits)) state.unitLimits = limits;
+        }
+    } catch (error) {
+        console.error('Error loading standing:', error);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEDULE GENERATOR
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Group all available courses by code
+ * Returns a Map of code -> array of sections (groups)
+ */
+function groupCoursesByCode() {
+    const groups = new Map();
+    state.courses.forEach(course => {
+        if (!groups.has(course.code)) {
+            groups.set(course.code, []);
+        }
+        groups.get(course.code).push(course);
+    });
+    return groups;
+}
+
+/**
+ * Walk the conflict-free combinations of sections for the given codes
+ * Sections that clash with a busy block or with a fixed section are skipped;
+ * the walk stops after GENERATOR_MAX_NODES sections have been tried
+ * @param {Array} fixed - Sections kept as they are; included in every combination
+ * @returns {{results: Array<Array>, total: number, truncated: boolean}} the best GENERATOR_MAX_RESULTS
+ *          combinations, ranked, the number of combinations found and whether the search was cut off
+ */
+function generateSchedules(codes, fixed = []) {
+    const groups = groupCoursesByCode();
+    
+    // Try codes with the fewest sections first to prune early
+    const sectionLists = codes
+        .map(code => groups.get(code) || [])
+        .sort((a, b) => a.length - b.length);
+    
+    if (sectionLists.some(list => list.length === 0)) return { results: [], total: 0, truncated: false };
+    
+    // Bounded heap of the best combinations seen so far, worst kept one at the root
+    const best = [];
+    const current = [...fixed];
+    let total = 0;
+    let nodes = 0;
+    let truncated = false;
+    
+    const search = (depth) => {
+        if (depth === sectionLists.length) {
+            total++;
+            pushBestSchedule(best, rateSchedule([...current]), CONFIG.GENERATOR_MAX_RESULTS);
+            return;
+        }
+        
+        for (const section of sectionLists[depth]) {
+            if (nodes >= CONFIG.GENERATOR_MAX_NODES) {
+                truncated = true;
+                return;
+            }
+            nodes++;
+            
+            if (findBusyConflict(section)) continue;
+            
+            const clashes = current.some(picked =>
+                checkConflict(section, picked).hasConflict || checkExamConflict(section, picked).hasConflict
+            );
+            if (clashes) continue;
+            
+            current.push(section);
+            search(depth + 1);
+            current.pop();
+        }
+    };
+    
+    search(0);
+    return { results: best.sort(compareRatedSchedules).map(entry => entry.courses), total, truncated };
+}
+
+/**
+ * Compute simple metrics used to rank a combination
+ * days: number of distinct campus days, gaps: idle hours between classes
+ */
+function getScheduleMetrics(courses) {
+    const slotsByDay = new Map();
+    courses.forEach(course => {
+        course.schedule.forEach(slot => {
+            if (!slotsByDay.has(slot.day)) {
+                slotsByDay.set(slot.day, []);
+            }
+            slotsByDay.get(slot.day).push({ start: parseTime(slot.start), end: parseTime(slot.end) });
+        });
+    });
+    
+    let gaps = 0;
+    slotsByDay.forEach(slots => {
+        slots.sort((a, b) => a.start - b.start);
+        for (let i = 1; i < slots.length; i++) {
+            gaps += Math.max(0, slots[i].start - slots[i - 1].end);
+        }
+    });
+    
+    return { days: slotsByDay.size, gaps };
+}
+
+/**
+ * Preference score and metrics of a combination, used for ranking
+ */
+function rateSchedule(courses) {
+    return { courses, score: scoreSchedule(courses).total, metrics: getScheduleMetrics(courses) };
+}
+
+/**
+ * Order rated combinations by preference score, then fewest campus days and smallest gaps
+ * Negative when `a` ranks better than `b`
+ */
+function compareRatedSchedules(a, b) {
+    return (b.score - a.score) ||
+        (a.metrics.days - b.metrics.days) ||
+        (a.metrics.gaps - b.metrics.gaps);
+}
+
+/**
+ * Offer a rated combination to a bounded heap that keeps the best `limit` entries
+ * The heap root is the worst kept entry, so a better one replaces it in O(log n)
+ */
+function pushBestSchedule(heap, entry, limit) {
+    const isWorse = (i, j) => compareRatedSchedules(heap[i], heap[j]) > 0;
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+    
+    if (heap.length < limit) {
+        // Sift the new entry up while it ranks worse than its parent
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0 && isWorse(i, (i - 1) >> 1)) {
+            swap(i, (i - 1) >> 1);
+            i = (i - 1) >> 1;
+        }
+        return;
+    }
+    
+    if (limit === 0 || compareRatedSchedules(entry, heap[0]) >= 0) return;
+    
+    // Replace the worst entry and sift it down toward the leaves
+    heap[0] = entry;
+    let i = 0;
+    for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let worst = i;
+        if (left < heap.length && isWorse(left, worst)) worst = left;
+        if (right < heap.length && isWorse(right, worst)) worst = right;
+        if (worst === i) return;
+        swap(i, worst);
+        i = worst;
+    }
+}
+
+/**
+ * Show generator modal with the list of available course codes
+ */
+function showGeneratorModal() {
+    if (blockWhenReadOnly()) return;
+    
+    const groups = groupCoursesByCode();
+    
+    // Pre-check codes that are already part of the selection
+    const selectedCodes = new Set(
+        state.selectedCourses.map(id => findCourseById(id)?.code).filter(Boolean)
+    );
+    
+    elements.generatorCodeList.innerHTML = [...groups.entries()].map(([code, sections]) => `
+        <label class="generator-code-item">
+            <input type="checkbox" value="${code}" ${selectedCodes.has(code) ? 'checked' : ''}>
+            <span class="generator-code-name">${sections[0].name}</span>
+            <span class="generator-code-meta">${code} | ${toPersianNumber(sections.length)} گروه</span>
+        </label>
+    `).join('');
+    
+    elements.generatorModal.classList.add('active');
+}
+
+/**
+ * Selected sections of codes left out of generation; they stay in every candidate
+ */
+function getKeptSections(codes) {
+    return state.selectedCourses
+        .map(findCourseById)
+        .filter(course => course && !codes.includes(course.code));
+}
+
+/**
+ * Run the generator for the checked codes and start previewing
+ */
+function runGenerator() {
+    const codes = [...elements.generatorCodeList.querySelectorAll('input:checked')].map(input => input.value);
+    
+    if (codes.length === 0) {
+        showToast('حداقل یک درس را انتخاب کنید', 'warning');
+        return;
+    }
+    
+    const { results, total, truncated } = generateSchedules(codes, getKeptSections(codes));
+    
+    if (results.length === 0) {
+        showToast(truncated
+            ? 'جستجو به سقف ترکیب‌ها رسید و برنامه بدون تداخلی یافت نشد؛ تعداد دروس را کمتر کنید'
+            : 'هیچ ترکیب بدون تداخلی یافت نشد', 'error');
+        return;
+    }
+    
+    state.generator.codes = codes;
+    state.generator.results = results.map(courses => courses.map(getCourseId));
+    state.generator.index = 0;
+    state.generator.active = true;
+    
+    closeAllModals();
+    renderGeneratorPreview();
+    const found = total > results.length
+        ? `${toPersianNumber(total)} برنامه بدون تداخل یافت شد؛ ${toPersianNumber(results.length)} برنامه نمایش داده می‌شود`
+        : `${toPersianNumber(total)} برنامه بدون تداخل یافت شد`;
+    if (truncated) {
+        showToast(`جستجو به سقف ترکیب‌ها رسید و همه حالت‌ها بررسی نشد؛ ${found}`, 'warning');
+    } else {
+        showToast(found, 'success');
+    }
+}
+
+/**
+ * Render the currently previewed candidate and the preview bar
+ */
+function renderGeneratorPreview() {
+    const { results, index, active } = state.generator;
+    
+    elements.generatorBar.classList.toggle('hidden', !active);
+    
+    if (active) {
+        const courses = results[index].map(findCourseById).filter(Boolean);
+        const metrics = getScheduleMetrics(courses);
+        const score = scoreSchedule(courses);
+        elements.generatorLabel.textContent =
+            `گزینه ${toPersianNumber(index + 1)} از ${toPersianNumber(results.length)} | ` +
+            `امتیاز ${toPersianNumber(score.total)} | ` +
+            `${toPersianNumber(metrics.days)} روز حضور | ${toPersianNumber(formatTime(metrics.gaps))} ساعت فاصله`;
+        elements.btnGeneratorPrev.disabled = index === 0;
+        elements.btnGeneratorNext.disabled = index === results.length - 1;
+    }
+    
+    renderSchedule();
+    updateSummary();
+}
+
+/**
+ * Step through generated candidates
+ */
+function stepGeneratorPreview(delta) {
+    const next = state.generator.index + delta;
+    if (next < 0 || next >= state.generator.results.length) return;
+    
+    state.generator.index = next;
+    renderGeneratorPreview();
+}
+
+/**
+ * Apply the previewed candidate as the current selection
+ */
+function applyGeneratedSchedule() {
+    if (!state.generator.active) return;
+    
+    const before = captureSnapshot();
+    state.selectedCourses = [...state.generator.results[state.generator.index]];
+    saveToStorage();
+    updateSummary();
+    exitGeneratorPreview();
+    
+    const entry = recordHistory('اعمال برنامه پیشنهادی', before);
+    showToast('برنامه پیشنهادی اعمال شد', 'success', getUndoAction(entry));
+}
+
+/**
+ * Leave preview mode and show the saved selection again
+ */
+function exitGeneratorPreview() {
+    state.generator.active = false;
+    state.generator.results = [];
+    state.generator.index = 0;
+    renderGeneratorPreview();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PREFERENCE SCORING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Score a set of courses against the student's preferences
+ * Each criterion yields 0-100; total is their weighted average
+ */
+function scoreSchedule(courses, preferences = state.preferences) {
+    const slots = courses.flatMap(course => course.schedule);
+    const { days, gaps } = getScheduleMetrics(courses);
+    const usedDays = new Set(slots.map(slot => slot.day));
+    
+    const ratio = (good, total) => (total === 0 ? 1 : good / total);
+    
+    const criteria = {
+        // Share of requested free days that really stay free
+        freeDays: ratio(
+            preferences.freeDays.filter(day => !usedDays.has(day)).length,
+            preferences.freeDays.length
+        ),
+        
+        // Share of slots that start at or after the preferred hour
+        earlyStart: ratio(
+            slots.filter(slot => parseTime(slot.start) >= preferences.earliestStart).length,
+            slots.length
+        ),
+        
+        // Fewer campus days is better (one day scores full)
+        campusDays: days <= 1 ? 1 : (CONFIG.DAYS.length - days) / (CONFIG.DAYS.length - 1),
+        
+        // Idle time between classes relative to the worst acceptable amount
+        gaps: days === 0 ? 1 : Math.max(0, 1 - gaps / (days * CONFIG.MAX_GAP_HOURS_PER_DAY)),
+        
+        // Share of courses taught by a preferred professor
+        professors: preferences.preferredProfessors.length === 0 ? 1 : ratio(
+            courses.filter(course => preferences.preferredProfessors.includes(course.professor)).length,
+            courses.length
+        )
+    };
+    
+    const breakdown = Object.keys(SCORE_CRITERIA).map(key => ({
+        key,
+        label: SCORE_CRITERIA[key],
+        weight: preferences.weights[key] || 0,
+        score: Math.round(criteria[key] * 100)
+    }));
+    
+    const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0);
+    const total = totalWeight === 0 ? 0 : Math.round(
+        breakdown.reduce((sum, item) => sum + item.score * item.weight, 0) / totalWeight
+    );
+    
+    return { total, breakdown };
+}
+
+/**
+ * Render the score of the current selection in the summary area
+ */
+function renderScoreSummary() {
+    const courses = getDisplayedCourseIds().map(findCourseById).filter(Boolean);
+    
+    if (courses.length === 0) {
+        elements.scheduleScore.textContent = '-';
+        elements.scoreBreakdown.innerHTML = '';
+        return;
+    }
+    
+    const score = scoreSchedule(courses);
+    elements.scheduleScore.textContent = toPersianNumber(score.total);
+    elements.scoreBreakdown.innerHTML = score.breakdown
+        .filter(item => item.weight > 0)
+        .map(item => `
+            <span class="score-chip" title="وزن ${toPersianNumber(item.weight)}">
+                ${item.label}: <strong>${toPersianNumber(item.score)}</strong>
+            </span>
+        `).join('');
+}
+
+/**
+ * Show preferences settings modal
+ */
+function showPreferencesModal() {
+    const prefs = state.preferences;
+    const professors = [...new Set(state.courses.map(c => c.professor).filter(Boolean))];
+    
+    const daysHtml = CONFIG.DAYS.map(day => `
+        <label class="pref-check">
+            <input type="checkbox" name="freeDays" value="${day}" ${prefs.freeDays.includes(day) ? 'checked' : ''}>
+            <span>${day}</span>
+        </label>
+    `).join('');
+    
+    const hoursHtml = CONFIG.HOURS.map(hour => `
+        <option value="${hour}" ${prefs.earliestStart === hour ? 'selected' : ''}>${toPersianNumber(hour)}:۰۰</option>
+    `).join('');
+    
+    const professorsHtml = professors.map(professor => `
+        <label class="pref-check">
+            <input type="checkbox" name="preferredProfessors" value="${professor}" ${prefs.preferredProfessors.includes(professor) ? 'checked' : ''}>
+            <span>${professor}</span>
+        </label>
+    `).join('');
+    
+    const weightsHtml = Object.entries(SCORE_CRITERIA).map(([key, label]) => `
+        <label class="pref-weight">
+            <span>${label}</span>
+            <input type="range" name="weight-${key}" min="0" max="5" step="1" value="${prefs.weights[key]}">
+            <output>${toPersianNumber(prefs.weights[key])}</output>
+        </label>
+    `).join('');
+    
+    elements.preferencesBody.innerHTML = `
+        <div class="pref-section">
+            <span class="course-info-label">روزهایی که کلاس نداشته باشم</span>
+            <div class="pref-options">${daysHtml}</div>
+        </div>
+        <div class="pref-section">
+            <span class="course-info-label">کلاس قبل از این ساعت شروع نشود</span>
+            <select class="pref-select" name="earliestStart">${hoursHtml}</select>
+        </div>
+        <div class="pref-section">
+            <span class="course-info-label">اساتید ترجیحی</span>
+            <div class="pref-options">${professorsHtml}</div>
+        </div>
+        <div class="pref-section">
+            <span class="course-info-label">وزن هر معیار</span>
+            <div class="pref-weights">${weightsHtml}</div>
+        </div>
+    `;
+    
+    // Live value next to each weight slider
+    elements.preferencesBody.querySelectorAll('.pref-weight input').forEach(input => {
+        input.addEventListener('input', () => {
+            input.nextElementSibling.textContent = toPersianNumber(input.value);
+        });
+    });
+    
+    elements.preferencesModal.classList.add('active');
+}
+
+/**
+ * Read preferences from the settings form, persist and re-score
+ */
+function applyPreferences() {
+    const body = elements.preferencesBody;
+    const checkedValues = name => [...body.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+    
+    const weights = {};
+    Object.keys(SCORE_CRITERIA).forEach(key => {
+        weights[key] = Number(body.querySelector(`input[name="weight-${key}"]`).value);
+    });
+    
+    state.preferences = {
+        freeDays: checkedValues('freeDays'),
+        earliestStart: Number(body.querySelector('select[name="earliestStart"]').value),
+        preferredProfessors: checkedValues('preferredProfessors'),
+        weights
+    };
+    
+    savePreferences();
+    updateSummary();
+    
+    // Search again so the kept candidates are the best under the new preferences
+    if (state.generator.active) {
+        const { codes } = state.generator;
+        state.generator.results = generateSchedules(codes, getKeptSections(codes)).results
+            .map(courses => courses.map(getCourseId));
+        state.generator.index = 0;
+        renderGeneratorPreview();
+    }
+    
+    closeAllModals();
+    showToast('ترجیحات ذخیره شد', 'success');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEDULE STATISTICS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Per-day statistics of one week of a set of courses, built from their schedule slots
+ * Only sessions meeting in that week count; overlapping ones are merged so hours are counted once
+ * @param {string|null} week - 'odd' or 'even'; null takes every session
+ * @returns {Array<{day, sessions, first, last, campusHours, classHours, gapHours, streaks}>} one entry per weekday
+ */
+function getDayStats(courses, week = null) {
+    const tolerance = CONFIG.BACK_TO_BACK_MINUTES / 60;
+    
+    return CONFIG.DAYS.map(day => {
+        const sessions = courses
+            .flatMap(course => course.schedule
+                .filter(slot => slot.day === day && hasParityOverlap(slot, { parity: week }))
+                .map(slot => ({ course, slot, start: parseTime(slot.start), end: parseTime(slot.end) })))
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+        
+        if (sessions.length === 0) {
+            return { day, sessions, first: null, last: null, campusHours: 0, classHours: 0, gapHours: 0, streaks: [] };
+        }
+        
+        // Walk the day keeping runs of sessions separated by short breaks at most
+        const runs = [];
+        let gapHours = 0;
+        sessions.forEach(session => {
+            const run = runs[runs.length - 1];
+            if (run && session.start <= run.end + tolerance) {
+                if (session.start >= run.end) run.count++;
+                gapHours += Math.max(0, session.start - run.end);
+                run.end = Math.max(run.end, session.end);
+                run.sessions.push(session);
+            } else {
+                if (run) gapHours += session.start - run.end;
+                runs.push({ day, start: session.start, end: session.end, count: 1, sessions: [session] });
+            }
+        });
+        
+        const first = sessions[0].start;
+        const last = Math.max(...sessions.map(session => session.end));
+        return {
+            day,
+            sessions,
+            first,
+            last,
+            campusHours: last - first,
+            classHours: last - first - gapHours,
+            gapHours,
+            streaks: runs.filter(run => run.count > 1)
+        };
+    });
+}
+
+/**
+ * Day statistics of the busier week: odd and even weeks differ when alternating sessions exist
+ * @returns {{week: string|null, days: Array}} week is null when every week is the same
+ */
+function getBusiestWeekStats(courses) {
+    const alternating = courses.some(course => course.schedule.some(slot => slot.parity));
+    if (!alternating) {
+        return { week: null, days: getDayStats(courses) };
+    }
+    
+    const campusHours = days => days.reduce((sum, day) => sum + day.campusHours, 0);
+    const [odd, even] = ['odd', 'even'].map(week => ({ week, days: getDayStats(courses, week) }));
+    return campusHours(even.days) > campusHours(odd.days) ? even : odd;
+}
+
+/**
+ * Units per department or course-code prefix, largest share first
+ */
+function getUnitShares(courses, groupBy = state.statsGroupBy) {
+    const totals = new Map();
+    courses.forEach(course => {
+        const key = groupBy === 'department'
+            ? (course.department || 'نامشخص')
+            : course.code.slice(0, CONFIG.CODE_PREFIX_LENGTH);
+        totals.set(key, (totals.get(key) || 0) + course.units);
+    });
+    
+    const totalUnits = courses.reduce((sum, course) => sum + course.units, 0);
+    return [...totals.entries()]
+        .map(([label, units]) => ({ label, units, share: totalUnits === 0 ? 0 : units / totalUnits }))
+        .sort((a, b) => b.units - a.units || a.label.localeCompare(b.label, 'fa'));
+}
+
+/**
+ * Render the statistics dashboard for the courses on the grid
+ */
+function renderStatsDashboard() {
+    const courses = getDisplayedCourseIds().map(findCourseById).filter(Boolean);
+    elements.statsPanel.classList.toggle('hidden', courses.length === 0);
+    if (courses.length === 0) {
+        elements.statsBody.innerHTML = '';
+        return;
+    }
+    
+    const { week, days } = getBusiestWeekStats(courses);
+    const campusDays = days.filter(day => day.sessions.length > 0);
+    const sum = key => campusDays.reduce((total, day) => total + day[key], 0);
+    const streaks = campusDays.flatMap(day => day.streaks);
+    const longest = streaks.reduce((max, run) => Math.max(max, run.end - run.start), 0);
+    
+    const cards = [
+        ['روز حضور', toPersianNumber(campusDays.length)],
+        ['ساعت حضور', toPersianNumber(formatTime(sum('campusHours')))],
+        ['ساعت کلاس', toPersianNumber(formatTime(sum('classHours')))],
+        ['ساعت بیکاری', toPersianNumber(formatTime(sum('gapHours')))],
+        ['طولانی‌ترین پیوسته', longest > 0 ? toPersianNumber(formatTime(longest)) : '—']
+    ];
+    const cardsHtml = cards.map(([label, value]) => `
+        <div class="stats-card">
+            <span class="stats-card-value">${value}</span>
+            <span class="stats-card-label">${label}</span>
+        </div>
+    `).join('');
+    
+    const weekHtml = week
+        ? `<p class="form-hint">هفته‌های فرد و زوج متفاوت است؛ آمار هفته ${CONFIG.WEEK_PARITY[week]} که سنگین‌تر است نمایش داده می‌شود.</p>`
+        : '';
+    
+    elements.statsBody.innerHTML = `
+        ${weekHtml}
+        <div class="stats-cards">${cardsHtml}</div>
+        <div class="stats-charts">
+            <div class="stats-chart stats-chart-wide">
+                <h3 class="stats-chart-title">حضور در هر روز</h3>
+                ${renderDayChart(days)}
+            </div>
+            <div class="stats-chart">
+                <h3 class="stats-chart-title">کلاس‌های پشت سر هم</h3>
+                ${renderStreakList(streaks)}
+            </div>
+            <div class="stats-chart">
+                <h3 class="stats-chart-title">سهم واحدها</h3>
+                ${renderUnitShareChart(getUnitShares(courses))}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * One row per weekday: the campus span from first to last class with each session in its colour,
+ * so idle gaps show as the uncovered part of the span
+ */
+function renderDayChart(days) {
+    const campusDays = days.filter(day => day.sessions.length > 0);
+    const from = Math.floor(Math.min(...campusDays.map(day => day.first)));
+    const to = Math.ceil(Math.max(...campusDays.map(day => day.last)));
+    const position = (start, end) =>
+        `right: ${((start - from) / (to - from)) * 100}%; width: ${((end - start) / (to - from)) * 100}%;`;
+    
+    const rowsHtml = days.map(day => {
+        if (day.sessions.length === 0) {
+            return `
+                <div class="stats-day">
+                    <span class="stats-day-name">${day.day}</span>
+                    <div class="stats-day-track"></div>
+                    <span class="stats-day-info">آزاد</span>
+                </div>
+            `;
+        }
+        
+        const sessionsHtml = day.sessions.map(session => `
+            <span class="stats-day-session" style="${position(session.start, session.end)} background-color: ${session.course.color};"
+                  title="${session.course.name} ${toPersianTime(session.slot.start)}-${toPersianTime(session.slot.end)}"></span>
+        `).join('');
+        const range = `${toPersianTime(formatTime(day.first))}-${toPersianTime(formatTime(day.last))}`;
+        const gapText = day.gapHours > 0 ? ` · بیکاری ${toPersianNumber(formatTime(day.gapHours))}` : '';
+        
+        return `
+            <div class="stats-day">
+                <span class="stats-day-name">${day.day}</span>
+                <div class="stats-day-track">
+                    <span class="stats-day-span" style="${position(day.first, day.last)}"></span>
+                    ${sessionsHtml}
+                </div>
+                <span class="stats-day-info">${range} · ${toPersianNumber(formatTime(day.campusHours))} ساعت${gapText}</span>
+            </div>
+        `;
+    }).join('');
+    
+    return `<div class="stats-days">${rowsHtml}</div>`;
+}
+
+/**
+ * Back-to-back runs with a bar of their length; long runs are flagged
+ */
+function renderStreakList(streaks) {
+    if (streaks.length === 0) {
+        return '<p class="suggestion-empty">کلاس پشت سر همی ندارید</p>';
+    }
+    
+    const longest = Math.max(...streaks.map(run => run.end - run.start));
+    return streaks.map(run => {
+        const hours = run.end - run.start;
+        const isLong = hours >= CONFIG.LONG_STREAK_HOURS;
+        const names = [...new Set(run.sessions.map(session => session.course.name))].join('، ');
+        
+        return `
+            <div class="stats-streak${isLong ? ' long' : ''}" title="${names}">
+                <span class="stats-streak-text">
+                    ${run.day} ${toPersianTime(formatTime(run.start))}-${toPersianTime(formatTime(run.end))}:
+                    ${toPersianNumber(run.count)} کلاس، ${toPersianNumber(formatTime(hours))} ساعت
+                </span>
+                <span class="stats-bar"><span style="width: ${(hours / longest) * 100}%;"></span></span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Stacked bar of unit shares with a legend
+ */
+function renderUnitShareChart(shares) {
+    const color = index => CONFIG.STATS_COLORS[index % CONFIG.STATS_COLORS.length];
+    const percent = share => `${toPersianNumber(Math.round(share * 100))}٪`;
+    
+    const segmentsHtml = shares.map((item, index) => `
+        <span style="width: ${item.share * 100}%; background-color: ${color(index)};" title="${item.label}: ${percent(item.share)}"></span>
+    `).join('');
+    const legendHtml = shares.map((item, index) => `
+        <li class="stats-legend-item">
+            <span class="stats-legend-color" style="background-color: ${color(index)};"></span>
+            <span class="stats-legend-label" dir="auto">${item.label}</span>
+            <span>${toPersianNumber(item.units)} واحد · ${percent(item.share)}</span>
+        </li>
+    `).join('');
+    
+    return `
+        <div class="stats-share-bar">${segmentsHtml}</div>
+        <ul class="stats-legend">${legendHtml}</ul>
+    `;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PREREQUISITES & COREQUISITES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Describe a course code by name when it exists in the catalog
+ */
+function describeCode(code) {
+    const course = state.courses.find(c => c.code === code);
+    return course ? `${course.name} (${code})` : code;
+}
+
+/**
+ * Prerequisite codes of a course the student has not passed
+ */
+function getMissingPrerequisites(course) {
+    return (course.prerequisites || []).filter(code => !state.passedCourses.includes(code));
+}
+
+/**
+ * Corequisite partners of a course
+ * Includes courses that list this course as their corequisite
+ */
+function getCorequisiteCodes(course) {
+    const codes = new Set(course.corequisites || []);
+    state.courses.forEach(other => {
+        if ((other.corequisites || []).includes(course.code)) {
+            codes.add(other.code);
+        }
+    });
+    codes.delete(course.code);
+    return [...codes];
+}
+
+/**
+ * After adding a course, offer to add corequisites that are neither passed nor selected
+ */
+function offerCorequisites(course) {
+    const selectedCodes = new Set(state.selectedCourses.map(id => findCourseById(id)?.code));
+    const pending = getCorequisiteCodes(course)
+        .filter(code => !state.passedCourses.includes(code) && !selectedCodes.has(code));
+    
+    pending.forEach(code => {
+        if (!confirm(`درس "${course.name}" با ${describeCode(code)} هم‌نیاز است. آن را هم اضافه کنم؟`)) {
+            return;
+        }
+        
+        const sections = groupCoursesByCode().get(code) || [];
+        const fitting = sections.find(section => fitsSelection(section));
+        
+        if (fitting) {
+            addCourse(getCourseId(fitting));
+        } else {
+            showToast(`هیچ گروهی از ${describeCode(code)} بدون تداخل نیست`, 'warning');
+        }
+    });
+}
+
+/**
+ * Show the passed courses modal
+ */
+function showPassedModal() {
+    renderPassedList();
+    elements.passedModal.classList.add('active');
+}
+
+/**
+ * Render checkboxes for catalog codes, prerequisite codes and manually passed codes
+ */
+function renderPassedList() {
+    const codes = new Set(state.passedCourses);
+    state.courses.forEach(course => {
+        codes.add(course.code);
+        (course.prerequisites || []).forEach(code => codes.add(code));
+    });
+    
+    elements.passedList.innerHTML = [...codes].sort().map(code => `
+        <label class="pref-check">
+            <input type="checkbox" value="${code}" ${state.passedCourses.includes(code) ? 'checked' : ''}>
+            <span>${describeCode(code)}</span>
+        </label>
+    `).join('');
+    
+    elements.passedList.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            togglePassedCourse(input.value, input.checked);
+        });
+    });
+}
+
+/**
+ * Mark a course code as passed or not passed
+ */
+function togglePassedCourse(code, passed) {
+    state.passedCourses = state.passedCourses.filter(c => c !== code);
+    if (passed) {
+        state.passedCourses.push(code);
+    }
+    savePassedCourses();
+}
+
+/**
+ * Add a passed course code typed by the student
+ */
+function addPassedCode() {
+    const [code] = parseCodeList(elements.passedCodeInput.value);
+    if (!code) return;
+    
+    togglePassedCourse(code, true);
+    elements.passedCodeInput.value = '';
+    renderPassedList();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// UNDO / REDO HISTORY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Current selection state that history entries restore
+ * Draft-level changes (rename, delete) also keep a copy of every draft
+ */
+function captureSnapshot(includeDrafts = false) {
+    const snapshot = { draftId: state.activeDraftId, courses: [...state.selectedCourses] };
+    if (includeDrafts) {
+        snapshot.drafts = state.drafts.map(draft => draft.id === state.activeDraftId
+            ? { ...structuredClone(draft), courses: [...state.selectedCourses] }
+            : structuredClone(draft));
+    }
+    return snapshot;
+}
+
+/**
+ * Record a change made since `before` was captured
+ * Returns the entry, or null while recording is paused or nothing changed
+ */
+function recordHistory(label, before) {
+    if (state.history.paused) return null;
+    
+    const after = captureSnapshot(Boolean(before.drafts));
+    if (before.draftId === after.draftId && before.courses.join() === after.courses.join() &&
+        JSON.stringify(before.drafts) === JSON.stringify(after.drafts)) {
+        return null;
+    }
+    
+    const entry = { id: Date.now(), label, before, after };
+    state.history.undo.push(entry);
+    state.history.undo = state.history.undo.slice(-CONFIG.HISTORY_LIMIT);
+    state.history.redo = [];
+    saveHistory();
+    return entry;
+}
+
+/**
+ * Toast action that undoes one specific entry (only while it is still the latest)
+ */
+function getUndoAction(entry) {
+    if (!entry) return null;
+    return {
+        label: 'بازگردانی',
+        onClick: () => {
+            const latest = state.history.undo[state.history.undo.length - 1];
+            if (latest !== entry) {
+                showToast('این تغییر دیگر قابل بازگردانی نیست', 'warning');
+                return;
+            }
+            undo();
+        }
+    };
+}
+
+/**
+ * Put a recorded snapshot back in place
+ * Returns false when its draft has been deleted since
+ */
+function restoreSnapshot(snapshot) {
+    const drafts = snapshot.drafts ? structuredClone(snapshot.drafts) : state.drafts;
+    const draft = drafts.find(d => d.id === snapshot.draftId);
+    if (!draft) return false;
+    
+    if (state.generator.active) {
+        exitGeneratorPreview();
+    }
+    
+    saveToStorage();
+    state.drafts = drafts;
+    state.activeDraftId = draft.id;
+    state.selectedCourses = [...snapshot.courses];
+    saveToStorage();
+    
+    updateSummary();
+    renderSchedule();
+    renderDrafts();
+    
+    if (elements.searchResults.classList.contains('active')) {
+        renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
+    }
+    if (elements.listModal.classList.contains('active')) {
+        renderSelectedList();
+    }
+    return true;
+}
+
+/**
+ * Step back or forward through the history
+ * @param {'undo'|'redo'} direction
+ */
+function stepHistory(direction) {
+    if (blockWhenReadOnly()) return;
+    
+    const from = state.history[direction];
+    const to = state.history[direction === 'undo' ? 'redo' : 'undo'];
+    const entry = from.pop();
+    
+    if (!entry) {
+        showToast(direction === 'undo' ? 'تغییری برای بازگردانی نیست' : 'تغییری برای انجام دوباره نیست', 'warning');
+        return;
+    }
+    
+    if (!restoreSnapshot(direction === 'undo' ? entry.before : entry.after)) {
+        saveHistory();
+        showToast('برنامه مربوط به این تغییر حذف شده است', 'warning');
+        return;
+    }
+    
+    to.push(entry);
+    saveHistory();
+    showToast(direction === 'undo' ? `بازگردانی: ${entry.label}` : `انجام دوباره: ${entry.label}`, 'info');
+}
+
+function undo() {
+    stepHistory('undo');
+}
+
+function redo() {
+    stepHistory('redo');
+}
+
+/**
+ * Save undo/redo stacks to localStorage
+ */
+function saveHistory() {
+    try {
+        localStorage.setItem(CONFIG.HISTORY_STORAGE_KEY, JSON.stringify({
+            undo: state.history.undo,
+            redo: state.history.redo
+        }));
+    } catch (error) {
+        console.error('Error saving history:', error);
+    }
+}
+
+/**
+ * Load undo/redo stacks from localStorage
+ */
+function loadHistory() {
+    try {
+        const saved = localStorage.getItem(CONFIG.HISTORY_STORAGE_KEY);
+        if (saved) {
+            const { undo: undoStack, redo: redoStack } = JSON.parse(saved);
+            state.history.undo = undoStack || [];
+            state.history.redo = redoStack || [];
+        }
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEDULE DRAFTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Create a new draft object
+ */
+function createDraft(name, courses = [], backups = {}) {
+    return {
+        id: `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        courses: [...courses],
+        backups: structuredClone(backups)
+    };
+}
+
+/**
+ * Find the draft currently being edited
+ */
+function getActiveDraft() {
+    return state.drafts.find(draft => draft.id === state.activeDraftId);
+}
+
+/**
+ * Next unused default name: "طرح A", "طرح B", ...
+ */
+function getDefaultDraftName() {
+    const names = new Set(state.drafts.map(draft => draft.name));
+    for (let i = 0; i < 26; i++) {
+        const name = `طرح ${String.fromCharCode(65 + i)}`;
+        if (!names.has(name)) return name;
+    }
+    return `طرح ${toPersianNumber(state.drafts.length + 1)}`;
+}
+
+/**
+ * Total units of a list of course IDs
+ */
+function sumUnits(courseIds) {
+    return courseIds.reduce((sum, id) => sum + (findCourseById(id)?.units || 0), 0);
+}
+
+/**
+ * Render draft tabs above the schedule grid
+ */
+function renderDrafts() {
+    elements.draftTabs.innerHTML = state.drafts.map(draft => `
+        <button class="draft-tab ${draft.id === state.activeDraftId ? 'active' : ''}" data-draft-id="${draft.id}">
+            ${draft.name}
+            <span class="draft-tab-units">${toPersianNumber(sumUnits(draft.id === state.activeDraftId ? state.selectedCourses : draft.courses))} واحد</span>
+        </button>
+    `).join('');
+    
+    elements.draftTabs.querySelectorAll('.draft-tab').forEach(tab => {
+        tab.addEventListener('click', () => switchDraft(tab.dataset.draftId));
+    });
+    
+    elements.btnDeleteDraft.disabled = state.drafts.length <= 1;
+    elements.btnCompareDrafts.disabled = state.drafts.length < 2;
+}
+
+/**
+ * Make another draft the active one
+ */
+function switchDraft(draftId) {
+    if (draftId === state.activeDraftId || blockWhenReadOnly()) return;
+    
+    const draft = state.drafts.find(d => d.id === draftId);
+    if (!draft) return;
+    
+    if (state.generator.active) {
+        exitGeneratorPreview();
+    }
+    
+    const before = captureSnapshot();
+    saveToStorage();
+    state.activeDraftId = draft.id;
+    state.selectedCourses = [...draft.courses];
+    saveToStorage();
+    recordHistory(`رفتن به "${draft.name}"`, before);
+    
+    updateSummary();
+    renderSchedule();
+    renderDrafts();
+    
+    if (elements.searchResults.classList.contains('active')) {
+        renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
+    }
+}
+
+/**
+ * Add a draft and switch to it
+ */
+function addDraft(name, courses = [], backups = {}) {
+    const draft = createDraft(name, courses, backups);
+    state.drafts.push(draft);
+    switchDraft(draft.id);
+    return draft;
+}
+
+/**
+ * Create an empty draft
+ */
+function newDraft() {
+    if (blockWhenReadOnly()) return;
+    
+    const name = prompt('نام برنامه جدید:', getDefaultDraftName());
+    if (name === null) return;
+    
+    addDraft(name.trim() || getDefaultDraftName());
+    showToast('برنامه جدید ساخته شد', 'success');
+}
+
+/**
+ * Rename the active draft
+ */
+function renameDraft() {
+    if (blockWhenReadOnly()) return;
+    
+    const draft = getActiveDraft();
+    if (!draft) return;
+    
+    const name = prompt('نام جدید برنامه:', draft.name);
+    if (name === null || !name.trim()) return;
+    
+    const before = captureSnapshot(true);
+    draft.name = name.trim();
+    saveToStorage();
+    renderDrafts();
+    
+    const entry = recordHistory(`تغییر نام برنامه به "${draft.name}"`, before);
+    showToast(`نام برنامه به "${draft.name}" تغییر کرد`, 'success', getUndoAction(entry));
+}
+
+/**
+ * Copy the active draft into a new one
+ */
+function duplicateDraft() {
+    if (blockWhenReadOnly()) return;
+    
+    const draft = getActiveDraft();
+    if (!draft) return;
+    
+    addDraft(`${draft.name} (کپی)`, state.selectedCourses, draft.backups || {});
+    showToast(`از "${draft.name}" یک نسخه ساخته شد`, 'success');
+}
+
+/**
+ * Delete the active draft (the last one is always kept)
+ */
+function deleteDraft() {
+    if (blockWhenReadOnly()) return;
+    
+    const draft = getActiveDraft();
+    if (!draft || state.drafts.length <= 1) return;
+    
+    if (!confirm(`برنامه "${draft.name}" حذف شود؟`)) return;
+    
+    const before = captureSnapshot(true);
+    const index = state.drafts.indexOf(draft);
+    state.drafts.splice(index, 1);
+    
+    // Activate a neighbour without writing the deleted draft back
+    const next = state.drafts[Math.max(0, index - 1)];
+    state.activeDraftId = next.id;
+    state.selectedCourses = [...next.courses];
+    saveToStorage();
+    
+    updateSummary();
+    renderSchedule();
+    renderDrafts();
+    
+    const entry = recordHistory(`حذف برنامه "${draft.name}"`, before);
+    showToast(`برنامه "${draft.name}" حذف شد`, 'info', getUndoAction(entry));
+}
+
+/**
+ * Show draft comparison modal
+ */
+function showCompareModal() {
+    if (state.drafts.length < 2) return;
+    
+    saveToStorage();
+    
+    const options = state.drafts.map(draft => `<option value="${draft.id}">${draft.name}</option>`).join('');
+    elements.compareLeft.innerHTML = options;
+    elements.compareRight.innerHTML = options;
+    
+    // Active draft on one side, the next draft on the other
+    const activeIndex = state.drafts.indexOf(getActiveDraft());
+    elements.compareLeft.value = state.activeDraftId;
+    elements.compareRight.value = state.drafts[(activeIndex + 1) % state.drafts.length].id;
+    
+    renderDraftComparison();
+    elements.compareModal.classList.add('active');
+}
+
+/**
+ * Render the two chosen drafts side by side, highlighting differences
+ */
+function renderDraftComparison() {
+    const left = state.drafts.find(d => d.id === elements.compareLeft.value);
+    const right = state.drafts.find(d => d.id === elements.compareRight.value);
+    if (!left || !right) return;
+    
+    const renderColumn = (draft, other) => {
+        const otherIds = new Set(other.courses);
+        const items = draft.courses.map(courseId => {
+            const course = findCourseById(courseId);
+            const differs = !otherIds.has(courseId);
+            return `
+                <li class="compare-item ${differs ? 'differs' : ''}">
+                    <span class="compare-item-name">${course ? course.name : courseId}</span>
+                    <span class="compare-item-meta">
+                        ${course ? `گروه ${toPersianNumber(course.group)} | ${toPersianNumber(course.units)} واحد` : 'در فهرست دروس نیست'}
+                    </span>
+                </li>
+            `;
+        }).join('');
+        
+        return `
+            <div class="compare-column">
+                <div class="compare-column-header">
+                    <span>${draft.name}</span>
+                    <span class="compare-units">${toPersianNumber(sumUnits(draft.courses))} واحد</span>
+                </div>
+                <ul class="compare-list">
+                    ${items || '<li class="compare-empty">درسی ندارد</li>'}
+                </ul>
+            </div>
+        `;
+    };
+    
+    elements.compareBody.innerHTML = renderColumn(left, right) + renderColumn(right, left);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CATALOG CHANGES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Course details worth comparing against later catalog versions
+ */
+function takeCourseSnapshot(course) {
+    const { code, name, professor, units, group, schedule, exam } = course;
+    return JSON.parse(JSON.stringify({ code, name, professor, units, group, schedule, exam }));
+}
+
+/**
+ * Snapshot newly selected courses and forget ones no draft uses anymore
+ * Existing snapshots stay as they are until a change is accepted
+ */
+function syncCourseSnapshots() {
+    const used = new Set([...state.selectedCourses, ...state.drafts.flatMap(draft => draft.courses)]);
+    
+    Object.keys(state.courseSnapshots).forEach(id => {
+        if (!used.has(id)) delete state.courseSnapshots[id];
+    });
+    used.forEach(id => {
+        const course = findCourseById(id);
+        if (course && !state.courseSnapshots[id]) {
+            state.courseSnapshots[id] = takeCourseSnapshot(course);
+        }
+    });
+    
+    saveCourseSnapshots();
+}
+
+/**
+ * Weekly sessions as one line of text
+ */
+function formatSchedule(schedule) {
+    return schedule.map(slot =>
+        `${slot.day} ${toPersianTime(slot.start)}-${toPersianTime(slot.end)}${getParityLabel(slot)}`
+    ).join('، ') || '—';
+}
+
+/**
+ * Fields that differ between a snapshot and the current course: [{ label, before, after }]
+ */
+function describeCourseChanges(snapshot, course) {
+    const fields = [
+        ['زمان کلاس', formatSchedule(snapshot.schedule), formatSchedule(course.schedule)],
+        ['استاد', snapshot.professor || '—', course.professor || '—'],
+        ['امتحان', snapshot.exam ? formatExam(snapshot.exam) : '—', course.exam ? formatExam(course.exam) : '—'],
+        ['تعداد واحد', toPersianNumber(snapshot.units), toPersianNumber(course.units)],
+        ['نام درس', snapshot.name, course.name]
+    ];
+    
+    return fields
+        .filter(([, before, after]) => before !== after)
+        .map(([label, before, after]) => ({ label, before, after }));
+}
+
+/**
+ * Weekly or exam clash between two courses (or snapshots)
+ */
+function coursesClash(a, b) {
+    return checkConflict(a, b).hasConflict || checkExamConflict(a, b).hasConflict;
+}
+
+/**
+ * Compare the selection's snapshots with the loaded catalog
+ * Returns removed sections, changed sections and clashes that did not exist before
+ */
+function getCatalogChanges() {
+    const changes = [];
+    
+    state.selectedCourses.forEach(id => {
+        const snapshot = state.courseSnapshots[id];
+        if (!snapshot) return;
+        
+        const course = findCourseById(id);
+        if (!course) {
+            changes.push({ type: 'removed', id, snapshot });
+            return;
+        }
+        
+        const details = describeCourseChanges(snapshot, course);
+        if (details.length > 0) {
+            changes.push({ type: 'changed', id, snapshot, course, details });
+        }
+    });
+    
+    const current = state.selectedCourses.map(findCourseById).filter(Boolean);
+    current.forEach((a, i) => {
+        current.slice(i + 1).forEach(b => {
+            const idA = getCourseId(a);
+            const idB = getCourseId(b);
+            const before = coursesClash(state.courseSnapshots[idA] || a, state.courseSnapshots[idB] || b);
+            if (!before && coursesClash(a, b)) {
+                changes.push({ type: 'conflict', ids: [idA, idB], courses: [a, b] });
+            }
+        });
+    });
+    
+    return changes;
+}
+
+/**
+ * Other groups of a course that would fit in place of the given section
+ */
+function getReplacementSections(code, id) {
+    return state.courses.filter(section =>
+        section.code === code && getCourseId(section) !== id && fitsSelection(section, [id])
+    );
+}
+
+/**
+ * Replace / remove buttons for one selected section
+ */
+function renderFixActions(id, code, name) {
+    const replacements = getReplacementSections(code, id);
+    
+    return `
+        ${replacements.map(section => `
+            <div class="suggestion-item">
+                <span class="suggestion-text">
+                    گروه ${toPersianNumber(section.group)} - ${section.professor || 'بدون استاد'}
+                    <span class="suggestion-time">${formatSchedule(section.schedule)}</span>
+                </span>
+                <button class="btn-secondary btn-swap" data-action="replace" data-id="${id}" data-with="${getCourseId(section)}">جایگزینی</button>
+            </div>
+        `).join('')}
+        <div class="change-actions">
+            <button class="btn-danger btn-swap" data-action="remove" data-id="${id}">حذف "${name}" از برنامه</button>
+        </div>
+    `;
+}
+
+/**
+ * Show the "what changed" report, or close it when nothing is left
+ * @returns {boolean} Whether there were changes to show
+ */
+function renderCatalogChanges() {
+    const changes = state.sharedView ? [] : getCatalogChanges();
+    
+    if (changes.length === 0) {
+        if (elements.changesModal.classList.contains('active')) {
+            elements.changesModal.classList.remove('active');
+            showToast('همه تغییرات فهرست دروس بررسی شد', 'success');
+        }
+        return false;
+    }
+    
+    elements.changesList.innerHTML = changes.map(change => {
+        if (change.type === 'removed') {
+            const { id, snapshot } = change;
+            return `
+                <div class="change-item removed">
+                    <span class="change-title">"${snapshot.name}" گروه ${toPersianNumber(snapshot.group)} از فهرست حذف شده است</span>
+                    <span class="suggestion-time">قبلاً: ${formatSchedule(snapshot.schedule)}</span>
+                    ${renderFixActions(id, snapshot.code, snapshot.name)}
+                </div>
+            `;
+        }
+        
+        if (change.type === 'changed') {
+            const { id, course, details } = change;
+            return `
+                <div class="change-item changed">
+                    <span class="change-title">"${course.name}" گروه ${toPersianNumber(course.group)} تغییر کرده است</span>
+                    <ul class="change-details">
+                        ${details.map(d => `<li><strong>${d.label}:</strong> <del>${d.before}</del> ← ${d.after}</li>`).join('')}
+                    </ul>
+                    <div class="change-actions">
+                        <button class="btn-primary btn-swap" data-action="accept" data-id="${id}">تأیید تغییر</button>
+                    </div>
+                    ${renderFixActions(id, course.code, course.name)}
+                </div>
+            `;
+        }
+        
+        const [a, b] = change.courses;
+        return `
+            <div class="change-item conflict">
+                <span class="change-title">تداخل جدید: "${a.name}" و "${b.name}"</span>
+                <span class="suggestion-time">${formatSchedule(a.schedule)} / ${formatSchedule(b.schedule)}</span>
+                <div class="change-actions">
+                    <button class="btn-secondary btn-swap" data-action="accept" data-id="${change.ids.join(',')}">نگه داشتن هر دو</button>
+                </div>
+                ${renderFixActions(change.ids[0], a.code, a.name)}
+                ${renderFixActions(change.ids[1], b.code, b.name)}
+            </div>
+        `;
+    }).join('');
+    
+    elements.changesList.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            resolveCatalogChange(btn.dataset.action, btn.dataset.id, btn.dataset.with);
+        });
+    });
+    
+    elements.changesModal.classList.add('active');
+    return true;
+}
+
+/**
+ * Apply one fix from the report, then refresh it
+ * @param {'accept'|'replace'|'remove'} action
+ * @param {string} id - Course ID (comma-separated for accept)
+ * @param {string} withId - Replacement section for 'replace'
+ */
+function resolveCatalogChange(action, id, withId) {
+    if (action === 'accept') {
+        id.split(',').forEach(courseId => {
+            const course = findCourseById(courseId);
+            if (course) state.courseSnapshots[courseId] = takeCourseSnapshot(course);
+        });
+        saveCourseSnapshots();
+    } else if (action === 'replace') {
+        switchSection(id, withId);
+    } else if (action === 'remove') {
+        removeCourse(id);
+    }
+    
+    renderCatalogChanges();
+}
+
+/**
+ * Accept every change to courses still in the catalog
+ */
+function acceptAllCatalogChanges() {
+    state.selectedCourses.forEach(id => {
+        const course = findCourseById(id);
+        if (course) state.courseSnapshots[id] = takeCourseSnapshot(course);
+    });
+    saveCourseSnapshots();
+    renderCatalogChanges();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SHARE LINKS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Encode course IDs into a compact hash value
+ */
+function encodeSharedIds(courseIds) {
+    return courseIds.map(encodeURIComponent).join(',');
+}
+
+/**
+ * Decode course IDs from a hash value
+ */
+function decodeSharedIds(value) {
+    return value
+        .split(',')
+        .map(part => {
+            try {
+                return decodeURIComponent(part).trim();
+            } catch {
+                return '';
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Build a link that opens the current selection read-only
+ */
+function buildShareUrl() {
+    const params = new URLSearchParams();
+    params.set(CONFIG.SHARE_HASH_KEY, encodeSharedIds(state.selectedCourses));
+    return `${location.origin}${location.pathname}#${params.toString().replace(/%2C/gi, ',')}`;
+}
+
+/**
+ * Copy a share link for the current selection
+ */
+async function shareSchedule() {
+    if (state.selectedCourses.length === 0) {
+        showToast('برنامه خالی است', 'warning');
+        return;
+    }
+    
+    const url = buildShareUrl();
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('لینک اشتراک‌گذاری کپی شد', 'success');
+    } catch (error) {
+        console.error('Error copying share link:', error);
+        prompt('لینک اشتراک‌گذاری:', url);
+    }
+}
+
+/**
+ * Open a shared schedule from the URL hash, if present
+ */
+function loadSharedFromUrl() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const value = params.get(CONFIG.SHARE_HASH_KEY);
+    
+    // Going back or clearing the hash returns to the user's own schedule
+    if (value === null) {
+        if (state.sharedView) {
+            state.sharedView = null;
+            renderSharedView();
+        }
+        return;
+    }
+    
+    const ids = decodeSharedIds(value);
+    state.sharedView = {
+        ids: ids.filter(id => findCourseById(id)),
+        missing: ids.filter(id => !findCourseById(id))
+    };
+    
+    renderSharedView();
+}
+
+/**
+ * Render the shared schedule banner and grid
+ */
+function renderSharedView() {
+    const shared = state.sharedView;
+    elements.sharedBanner.classList.toggle('hidden', !shared);
+    
+    if (shared) {
+        const units = shared.ids.reduce((sum, id) => sum + (findCourseById(id)?.units || 0), 0);
+        elements.sharedInfo.textContent =
+            `برنامه اشتراکی (فقط مشاهده): ${toPersianNumber(shared.ids.length)} درس، ${toPersianNumber(units)} واحد`;
+        
+        elements.sharedWarning.classList.toggle('hidden', shared.missing.length === 0);
+        elements.sharedWarning.textContent = shared.missing.length === 0 ? '' :
+            `${toPersianNumber(shared.missing.length)} درس این لینک در فهرست فعلی دروس وجود ندارد: ${shared.missing.join('، ')}`;
+        elements.btnImportShared.disabled = shared.ids.length === 0;
+    }
+    
+    renderSchedule();
+    updateSummary();
+}
+
+/**
+ * Replace the saved selection with the shared schedule
+ */
+function importSharedSchedule() {
+    const shared = state.sharedView;
+    if (!shared || shared.ids.length === 0) return;
+    
+    if (state.selectedCourses.length > 0 &&
+        !confirm('برنامه فعلی شما با برنامه اشتراکی جایگزین می‌شود. ادامه می‌دهید؟')) {
+        return;
+    }
+    
+    const before = captureSnapshot();
+    state.selectedCourses = [...shared.ids];
+    saveToStorage();
+    updateSummary();
+    closeSharedView();
+    
+    const entry = recordHistory('انتقال برنامه اشتراکی', before);
+    showToast('برنامه اشتراکی به برنامه شما منتقل شد', 'success', getUndoAction(entry));
+}
+
+/**
+ * Leave the shared view and drop the share hash from the URL
+ */
+function closeSharedView() {
+    state.sharedView = null;
+    history.replaceState(null, '', location.pathname + location.search);
+    renderSharedView();
+}
+
+/**
+ * Refuse edits while a shared schedule is shown read-only
+ */
+function blockWhenReadOnly() {
+    if (!state.sharedView) return false;
+    showToast('برنامه اشتراکی فقط قابل مشاهده است', 'warning');
+    return true;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEDULE RENDERING - WITH MULTI-HOUR SPANNING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Initialize schedule table structure
+ * @param {number[]} hours - Hour columns to draw (CONFIG.HOURS unless sessions fall outside it)
+ */
+function initializeScheduleTable(hours = CONFIG.HOURS) {
+    state.gridHours = hours;
+    elements.scheduleBody.innerHTML = '';
+    
+    elements.scheduleTable.querySelector('thead tr').innerHTML = `
+        <th class="day-header">روز / ساعت</th>
+        ${hours.map(hour => `<th>${String(hour).padStart(2, '0')}:00</th>`).join('')}
+    `;
+    
+    CONFIG.DAYS.forEach(day => {
+        const row = document.createElement('tr');
+        row.className = 'day-row';
+        row.dataset.day = day;
+        
+        row.setAttribute('role', 'row');
+        
+        // Day header cell
+        const dayCell = document.createElement('th');
+        dayCell.textContent = day;
+        dayCell.setAttribute('role', 'rowheader');
+        row.appendChild(dayCell);
+        
+        // Hour cells
+        hours.forEach(hour => {
+            const cell = document.createElement('td');
+            cell.dataset.hour = hour;
+            cell.dataset.day = day;
+            cell.setAttribute('role', 'gridcell');
+            cell.tabIndex = -1;
+            row.appendChild(cell);
+        });
+        
+        elements.scheduleBody.appendChild(row);
+    });
+    
+    if (!state.gridFocus || !hours.includes(state.gridFocus.hour)) {
+        state.gridFocus = { day: CONFIG.DAYS[0], hour: hours[0] };
+    }
+}
+
+/**
+ * Course IDs currently drawn in the grid
+ * A previewed generator candidate wins over a shared schedule, which wins over the selection
+ */
+function getDisplayedCourseIds() {
+    if (state.generator.active) {
+        return state.generator.results[state.generator.index];
+    }
+    if (state.sharedView) {
+        return state.sharedView.ids;
+    }
+    return state.selectedCourses;
+}
+
+/**
+ * Round an hour value to the grid's time step
+ */
+function snapTime(time) {
+    const steps = 60 / CONFIG.TIME_STEP_MINUTES;
+    return Math.round(time * steps) / steps;
+}
+
+/**
+ * Hour columns needed to show every session: CONFIG.HOURS, widened when needed
+ */
+function getGridHours(items) {
+    let first = CONFIG.HOURS[0];
+    let last = CONFIG.HOURS[CONFIG.HOURS.length - 1];
+    
+    items.forEach(({ start, end }) => {
+        first = Math.min(first, Math.floor(start));
+        last = Math.max(last, Math.ceil(end) - 1);
+    });
+    
+    first = Math.max(first, 0);
+    last = Math.min(last, 23);
+    return Array.from({ length: last - first + 1 }, (_, i) => i + first);
+}
+
+/**
+ * Assign overlapping sessions of one day to side-by-side lanes
+ * Sessions in alternate weeks do not overlap, so they can share a lane
+ * Sets `lane` and `laneCount` (lanes in its overlap cluster) on each item
+ * @returns {number} Most lanes used by any cluster
+ */
+function layoutDaySlots(items) {
+    const sorted = [...items].sort((a, b) => (a.start - b.start) || (b.end - a.end));
+    const overlaps = (a, b) => a.start < b.end && b.start < a.end && hasParityOverlap(a.slot, b.slot);
+    
+    let maxLanes = 0;
+    let cluster = [];
+    let lanes = [];
+    let clusterEnd = -Infinity;
+    
+    const closeCluster = () => {
+        cluster.forEach(item => { item.laneCount = lanes.length; });
+        maxLanes = Math.max(maxLanes, lanes.length);
+        cluster = [];
+        lanes = [];
+    };
+    
+    sorted.forEach(item => {
+        if (item.start >= clusterEnd) {
+            closeCluster();
+            clusterEnd = -Infinity;
+        }
+        
+        let lane = lanes.findIndex(laneItems => !laneItems.some(other => overlaps(item, other)));
+        if (lane === -1) {
+            lane = lanes.length;
+            lanes.push([]);
+        }
+        lanes[lane].push(item);
+        item.lane = lane;
+        cluster.push(item);
+        clusterEnd = Math.max(clusterEnd, item.end);
+    });
+    closeCluster();
+    
+    return maxLanes;
+}
+
+/**
+ * Sessions of the given courses with snapped start/end hours, ready for layout
+ */
+function collectScheduleItems(courseIds) {
+    const items = [];
+    courseIds.forEach(courseId => {
+        const course = findCourseById(courseId);
+        if (!course) return;
+        
+        course.schedule.forEach(slot => {
+            const start = snapTime(parseTime(slot.start));
+            const end = Math.max(snapTime(parseTime(slot.end)), start + CONFIG.TIME_STEP_MINUTES / 60);
+            items.push({ course, slot, start, end });
+        });
+    });
+    return items;
+}
+
+/**
+ * Render course blocks on schedule
+ */
+function renderSchedule() {
+    // Clear all existing blocks
+    elements.scheduleBody.querySelectorAll('.course-block').forEach(el => el.remove());
+    
+    // Sessions of each selected course (or a generator candidate / shared schedule) and busy blocks
+    const items = [
+        ...collectScheduleItems(getDisplayedCourseIds()),
+        ...collectBusyItems(getDisplayedBusyBlocks())
+    ];
+    
+    // Grow (or shrink back) the grid to fit every session
+    const hours = getGridHours(items);
+    if (hours.join() !== state.gridHours.join()) {
+        initializeScheduleTable(hours);
+    }
+    
+    CONFIG.DAYS.forEach(day => {
+        const dayItems = items.filter(item => item.slot.day === day);
+        const maxLanes = layoutDaySlots(dayItems);
+        
+        // Rows with stacked lanes get taller so blocks stay readable
+        const row = elements.scheduleBody.querySelector(`tr[data-day="${day}"]`);
+        if (row) {
+            row.querySelectorAll('td').forEach(cell => {
+                cell.style.height = maxLanes > 2 ? `${maxLanes * CONFIG.LANE_MIN_HEIGHT}px` : '';
+            });
+        }
+        
+        dayItems.forEach(item => (item.busy ? renderBusyBlock(item) : renderCourseBlock(item)));
+    });
+    
+    updateGridAccessibility();
+    
+    if (state.scheduleView === 'exams') {
+        renderExamCalendar();
+    }
+    renderStatsDashboard();
+}
+
+/**
+ * Vertical placement of a block within its lane: odd weeks use the top half, even weeks the bottom
+ */
+function getBlockVerticalPosition(slot, lane = 0, laneCount = 1) {
+    let top = lane / laneCount * 100;
+    let height = 100 / laneCount;
+    
+    if (slot.parity) {
+        height /= 2;
+        if (slot.parity === 'even') top += height;
+    }
+    
+    return `top: calc(${top}% + 2px); height: calc(${height}% - 4px);`;
+}
+
+/**
+ * Render a single course block with proper multi-hour spanning
+ */
+function renderCourseBlock({ course, slot, start: startTime, end: endTime, lane, laneCount }) {
+    const startHour = Math.floor(startTime);
+    const duration = endTime - startTime;
+    
+    // Find the starting cell
+    const startCell = elements.scheduleBody.querySelector(
+        `tr[data-day="${slot.day}"] td[data-hour="${startHour}"]`
+    );
+    
+    if (!startCell) return;
+    
+    // Create the block
+    const block = document.createElement('div');
+    block.className = slot.parity ? `course-block alternating ${slot.parity}` : 'course-block';
+    if (laneCount > 1) block.classList.add('stacked');
+    block.style.backgroundColor = course.color;
+    block.dataset.courseId = getCourseId(course);
+    block.tabIndex = -1;
+    block.setAttribute('role', 'button');
+    block.setAttribute('aria-label', `${course.name}، گروه ${toPersianNumber(course.group)}، ${slot.day} ${toPersianTime(slot.start)} تا ${toPersianTime(slot.end)}${getParityLabel(slot)}`);
+    
+    // Calculate position and size
+    // Each hour cell is treated as 1 unit
+    // The block spans from startTime to endTime within the row
+    // Position relative to the starting cell; hours run right to left
+    const offsetMinutes = (startTime - startHour) * 60;
+    const offsetPercent = offsetMinutes / 60 * 100;
+    
+    block.style.cssText = `
+        position: absolute;
+        right: ${offsetPercent}%;
+        width: ${duration * 100}%;
+        ${getBlockVerticalPosition(slot, lane, laneCount)}
+        background-color: ${course.color};
+        border-radius: 4px;
+        z-index: 10;
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        padding: 4px;
+        cursor: pointer;
+        overflow: hidden;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+    `;
+    
+    block.innerHTML = `
+        <span class="course-block-name" style="font-size: 11px; font-weight: 600; color: white; text-align: center; line-height: 1.3; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 100%;">${course.name}</span>
+        <span class="course-block-time" style="font-size: 10px; color: rgba(255,255,255,0.8);">${toPersianTime(slot.start)}-${toPersianTime(slot.end)}${getParityLabel(slot)}</span>
+        <span class="course-block-group" style="font-size: 9px; color: rgba(255,255,255,0.7); background: rgba(0,0,0,0.3); padding: 1px 4px; border-radius: 2px;">گروه ${toPersianNumber(course.group)}</span>
+    `;
+    
+    block.addEventListener('click', () => {
+        showCourseModal(course);
+    });
+    
+    // Only the student's own selection can be rearranged
+    if (!state.generator.active && !state.sharedView) {
+        setupBlockDrag(block, course);
+    }
+    
+    // Make the cell position relative to contain the absolute block
+    startCell.style.position = 'relative';
+    startCell.appendChild(block);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DRAG & DROP SECTION SWAP
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Let a grid block be dragged onto another group of the same course
+ */
+function setupBlockDrag(block, course) {
+    const courseId = getCourseId(course);
+    block.draggable = true;
+    
+    block.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', courseId);
+        
+        // Wait a frame so the drag image is taken before the grid changes
+        setTimeout(() => showDropTargets(course), 0);
+    });
+    
+    block.addEventListener('dragend', clearDropTargets);
+}
+
+/**
+ * Selected courses and busy blocks a candidate section would clash with, ignoring the section it replaces
+ */
+function getSwapConflicts(candidate, replaceId) {
+    const courses = state.selectedCourses
+        .filter(id => id !== replaceId)
+        .map(findCourseById)
+        .filter(other => other &&
+            (checkConflict(candidate, other).hasConflict || checkExamConflict(candidate, other).hasConflict));
+    
+    return [...courses, ...state.busyBlocks.filter(block => checkConflict(candidate, block).hasConflict)];
+}
+
+/**
+ * Draw the meetings of the dragged course's other groups as drop targets
+ */
+function showDropTargets(course) {
+    const courseId = getCourseId(course);
+    const alternatives = state.courses.filter(c => c.code === course.code && getCourseId(c) !== courseId);
+    
+    elements.scheduleBody.querySelectorAll(`.course-block[data-course-id="${courseId}"]`)
+        .forEach(el => el.classList.add('dragging'));
+    
+    if (alternatives.length === 0) {
+        showToast(`درس "${course.name}" گروه دیگری ندارد`, 'info');
+        return;
+    }
+    
+    alternatives.forEach(alternative => {
+        const conflicts = getSwapConflicts(alternative, courseId);
+        alternative.schedule.forEach(slot => renderDropTarget(alternative, slot, courseId, conflicts));
+    });
+}
+
+/**
+ * One drop target: valid groups accept the drop, clashing ones preview the conflict
+ */
+function renderDropTarget(alternative, slot, replaceId, conflicts) {
+    const startTime = parseTime(slot.start);
+    const startHour = Math.floor(startTime);
+    const cell = elements.scheduleBody.querySelector(
+        `tr[data-day="${slot.day}"] td[data-hour="${startHour}"]`
+    );
+    if (!cell) return;
+    
+    const isValid = conflicts.length === 0;
+    const target = document.createElement('div');
+    target.className = `drop-target ${isValid ? 'valid' : 'invalid'}`;
+    target.style.cssText = `
+        right: ${(startTime - startHour) * 100}%;
+        width: ${(parseTime(slot.end) - startTime) * 100}%;
+        ${getBlockVerticalPosition(slot)}
+    `;
+    target.innerHTML = `
+        <span class="drop-target-group">گروه ${toPersianNumber(alternative.group)}</span>
+        <span class="drop-target-note">${isValid ? `${toPersianTime(slot.start)}-${toPersianTime(slot.end)}` : `تداخل با ${conflicts.map(c => c.name).join('، ')}`}</span>
+    `;
+    
+    const conflictSelectors = conflicts.map(other => other.code
+        ? `.course-block[data-course-id="${getCourseId(other)}"]`
+        : `.course-block[data-busy-id="${other.id}"]`);
+    const togglePreview = (active) => {
+        target.classList.toggle('over', active);
+        conflictSelectors.forEach(selector => {
+            elements.scheduleBody.querySelectorAll(selector)
+                .forEach(el => el.classList.toggle('conflict-preview', active));
+        });
+    };
+    
+    target.addEventListener('dragenter', () => togglePreview(true));
+    target.addEventListener('dragleave', () => togglePreview(false));
+    target.addEventListener('dragover', (e) => {
+        if (!isValid) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+    target.addEventListener('drop', (e) => {
+        e.preventDefault();
+        clearDropTargets();
+        switchSection(replaceId, getCourseId(alternative));
+    });
+    
+    cell.style.position = 'relative';
+    cell.appendChild(target);
+}
+
+/**
+ * Remove drop targets and drag highlights
  */
-function saveToStorage() {
-    try {
-        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(state.selectedCourses));
-    } catch (error) {
-        console.error('Error saving to storage:', error);
-    }
+function clearDropTargets() {
+    elements.scheduleBody.querySelectorAll('.drop-target').forEach(el => el.remove());
+    elements.scheduleBody.querySelectorAll('.course-block.dragging, .course-block.conflict-preview')
+        .forEach(el => el.classList.remove('dragging', 'conflict-preview'));
 }
 
 /**
- * Load selected courses from localStorage
+ * Replace a selected section with another group of the same course
  */
-function loadFromStorage() {
-    try {
-        const saved = localStorage.getItem(CONFIG.STORAGE_KEY);
-        if (saved) {
-            state.selectedCourses = JSON.parse(saved);
-            updateSummary();
-            renderSchedule();
-        }
-    } catch (error) {
-        console.error('Error loading from storage:', error);
+function switchSection(fromId, toId) {
+    if (blockWhenReadOnly()) return;
+    
+    const index = state.selectedCourses.indexOf(fromId);
+    const course = findCourseById(toId);
+    if (index === -1 || !course) return;
+    
+    const before = captureSnapshot();
+    state.selectedCourses[index] = toId;
+    saveToStorage();
+    updateSummary();
+    renderSchedule();
+    
+    if (elements.searchResults.classList.contains('active')) {
+        renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
     }
+    
+    const entry = recordHistory(`تغییر گروه "${course.name}"`, before);
+    showToast(`"${course.name}" به گروه ${toPersianNumber(course.group)} منتقل شد`, 'success', getUndoAction(entry));
 }
 
 // ═══════════════════════════════════════════════════════════════
-// SEARCH FUNCTIONALITY
+// BUSY BLOCKS
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Filter courses based on search query
- * Returns all matching courses (no limit when searching)
+ * Create a busy block: a named, course-shaped time slot so checkConflict applies to it
  */
-function filterCourses(query) {
-    const normalizedQuery = query.toLowerCase().trim();
+function createBusyBlock(name, day, start, end) {
+    return {
+        id: `busy-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        schedule: [{ day, start, end, parity: null }]
+    };
+}
+
+/**
+ * First busy block a course clashes with, as { block, conflict }, or null
+ */
+function findBusyConflict(course) {
+    for (const block of state.busyBlocks) {
+        const conflict = checkConflict(course, block);
+        if (conflict.hasConflict) return { block, conflict };
+    }
+    return null;
+}
+
+/**
+ * Busy blocks drawn in the grid; a shared schedule is someone else's week
+ */
+function getDisplayedBusyBlocks() {
+    return state.sharedView && !state.generator.active ? [] : state.busyBlocks;
+}
+
+/**
+ * Busy blocks as grid items, laid out together with course sessions
+ */
+function collectBusyItems(blocks) {
+    return blocks.flatMap(busy => busy.schedule.map(slot => {
+        const start = snapTime(parseTime(slot.start));
+        const end = Math.max(snapTime(parseTime(slot.end)), start + CONFIG.TIME_STEP_MINUTES / 60);
+        return { busy, slot, start, end };
+    }));
+}
+
+/**
+ * Human readable busy block, e.g. "کار: دوشنبه ۱۴:۰۰-۱۸:۰۰"
+ */
+function describeBusyBlock(block) {
+    return `${block.name}: ${formatSchedule(block.schedule)}`;
+}
+
+/**
+ * Render a busy block in the grid; it never carries units
+ */
+function renderBusyBlock({ busy, slot, start, end, lane, laneCount }) {
+    const startHour = Math.floor(start);
+    const startCell = elements.scheduleBody.querySelector(
+        `tr[data-day="${slot.day}"] td[data-hour="${startHour}"]`
+    );
+    if (!startCell) return;
     
-    if (!normalizedQuery) {
-        // Return first N courses when no query (for initial display)
-        return state.courses.slice(0, CONFIG.INITIAL_COURSE_COUNT);
+    const block = document.createElement('div');
+    block.className = laneCount > 1 ? 'course-block busy-block stacked' : 'course-block busy-block';
+    block.dataset.busyId = busy.id;
+    block.tabIndex = -1;
+    block.setAttribute('role', 'button');
+    block.setAttribute('aria-label', `زمان مشغول: ${busy.name}، ${slot.day} ${toPersianTime(slot.start)} تا ${toPersianTime(slot.end)}`);
+    block.style.cssText = `
+        right: ${(start - startHour) * 100}%;
+        width: ${(end - start) * 100}%;
+        ${getBlockVerticalPosition(slot, lane, laneCount)}
+    `;
+    
+    block.innerHTML = `
+        <span class="course-block-name">${busy.name}</span>
+        <span class="course-block-time">${toPersianTime(slot.start)}-${toPersianTime(slot.end)}</span>
+    `;
+    
+    block.addEventListener('click', () => showBusyModal(busy.id));
+    
+    startCell.style.position = 'relative';
+    startCell.appendChild(block);
+}
+
+/**
+ * Open the busy block editor for an existing block, or for a new one at a grid position
+ */
+function showBusyModal(blockId = null, position = null) {
+    if (blockWhenReadOnly()) return;
+    
+    const block = state.busyBlocks.find(b => b.id === blockId);
+    const slot = block ? block.schedule[0] : {
+        day: position?.day || CONFIG.DAYS[0],
+        start: formatTime(position?.hour ?? CONFIG.HOURS[0]).padStart(5, '0'),
+        end: formatTime((position?.hour ?? CONFIG.HOURS[0]) + 1).padStart(5, '0')
+    };
+    
+    state.editingBusyId = block ? block.id : null;
+    elements.busyModalTitle.textContent = block ? 'ویرایش زمان مشغول' : 'افزودن زمان مشغول';
+    elements.busyName.value = block ? block.name : '';
+    elements.busyDay.innerHTML = CONFIG.DAYS.map(day => `<option value="${day}">${day}</option>`).join('');
+    elements.busyDay.value = slot.day;
+    elements.busyStart.value = slot.start;
+    elements.busyEnd.value = slot.end;
+    elements.btnDeleteBusy.classList.toggle('hidden', !block);
+    elements.busyModal.classList.add('active');
+}
+
+/**
+ * Save the busy block being edited; courses it overlaps are flagged but kept
+ */
+function submitBusyBlock() {
+    const name = elements.busyName.value.trim() || CONFIG.BUSY_DEFAULT_NAME;
+    const day = elements.busyDay.value;
+    const start = toLatinDigits(elements.busyStart.value).trim();
+    const end = toLatinDigits(elements.busyEnd.value).trim();
+    
+    const error = validateSlot(day, start, end);
+    if (error) {
+        showToast(error, 'warning');
+        return;
     }
     
-    return state.courses.filter(course => {
-        const nameMatch = course.name.toLowerCase().includes(normalizedQuery);
-        const professorMatch = course.professor.toLowerCase().includes(normalizedQuery);
-        const codeMatch = course.code.includes(normalizedQuery);
-        return nameMatch || professorMatch || codeMatch;
-    });
+    let block = state.busyBlocks.find(b => b.id === state.editingBusyId);
+    const isNew = !block;
+    if (isNew) {
+        block = createBusyBlock(name, day, start, end);
+        state.busyBlocks.push(block);
+    } else {
+        block.name = name;
+        block.schedule = [{ day, start, end, parity: null }];
+    }
+    
+    saveToStorage();
+    closeAllModals();
+    renderSchedule();
+    
+    const clashes = state.selectedCourses
+        .map(findCourseById)
+        .filter(course => course && checkConflict(course, block).hasConflict);
+    if (clashes.length > 0) {
+        showToast(`"${name}" با ${clashes.map(c => `"${c.name}"`).join('، ')} تداخل دارد`, 'warning');
+    } else {
+        showToast(isNew ? `زمان مشغول "${name}" اضافه شد` : `"${name}" به‌روز شد`, 'success');
+    }
 }
 
 /**
- * Render search results
+ * Delete a busy block
  */
-function renderSearchResults(courses, isInitial = false) {
-    if (courses.length === 0) {
-        elements.resultsCount.textContent = 'نتیجه‌ای یافت نشد';
-        elements.resultsList.innerHTML = `
+function deleteBusyBlock(blockId) {
+    const block = state.busyBlocks.find(b => b.id === blockId);
+    if (!block) return;
+    
+    state.busyBlocks = state.busyBlocks.filter(b => b.id !== blockId);
+    saveToStorage();
+    closeAllModals();
+    renderSchedule();
+    showToast(`زمان مشغول "${block.name}" حذف شد`, 'info');
+}
+
+/**
+ * Double-clicking an empty grid cell adds a busy block there
+ */
+function handleGridDoubleClick(e) {
+    if (e.target.closest('.course-block, .drop-target')) return;
+    
+    const cell = e.target.closest('td[data-hour]');
+    if (cell) showBusyModal(null, { day: cell.dataset.day, hour: Number(cell.dataset.hour) });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EXAM CALENDAR
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Persian weekday name of a date
+ */
+function getPersianWeekday(date) {
+    const day = Object.keys(CONFIG.WEEKDAY_INDEX).find(name => CONFIG.WEEKDAY_INDEX[name] === date.getDay());
+    return day || 'جمعه';
+}
+
+/**
+ * Switch the schedule section between weekly grid and exam calendar
+ */
+function setScheduleView(view) {
+    state.scheduleView = view;
+    elements.btnViewWeekly.classList.toggle('active', view === 'weekly');
+    elements.btnViewExams.classList.toggle('active', view === 'exams');
+    elements.tableWrapper.classList.toggle('hidden', view !== 'weekly');
+    elements.examCalendar.classList.toggle('hidden', view !== 'exams');
+    
+    if (view === 'exams') {
+        renderExamCalendar();
+    }
+}
+
+/**
+ * Render exams of the displayed courses grouped by date, flagging clashes
+ */
+function renderExamCalendar() {
+    const courses = getDisplayedCourseIds().map(findCourseById).filter(Boolean);
+    const withExam = courses.filter(course => course.exam && parseDateInput(course.exam.date));
+    const withoutExam = courses.filter(course => !withExam.includes(course));
+    
+    if (withExam.length === 0) {
+        elements.examCalendar.innerHTML = `
             <div class="empty-state">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                    <circle cx="11" cy="11" r="8"></circle>
-                    <path d="m21 21-4.35-4.35"></path>
-                </svg>
-                <p>درسی با این مشخصات یافت نشد</p>
+                <p>برای دروس انتخاب شده تاریخ امتحانی ثبت نشده است</p>
             </div>
         `;
         return;
     }
     
-    const countText = isInitial 
-        ? `${toPersianNumber(courses.length)} درس اول` 
-        : `${toPersianNumber(courses.length)} نتیجه`;
-    elements.resultsCount.textContent = countText;
+    // Group by exam date
+    const byDate = new Map();
+    withExam
+        .sort((a, b) => parseDateInput(a.exam.date) - parseDateInput(b.exam.date) ||
+            parseTime(a.exam.start) - parseTime(b.exam.start))
+        .forEach(course => {
+            const key = parseDateInput(course.exam.date).getTime();
+            if (!byDate.has(key)) byDate.set(key, []);
+            byDate.get(key).push(course);
+        });
     
-    elements.resultsList.innerHTML = courses.map(course => {
-        const courseId = getCourseId(course);
-        const isSelected = state.selectedCourses.includes(courseId);
-        
-        const scheduleHtml = course.schedule.map(s => 
-            `<span class="schedule-tag">${s.day} ${toPersianTime(s.start)}-${toPersianTime(s.end)}</span>`
-        ).join('');
+    const rowsHtml = [...byDate.entries()].map(([time, dayCourses]) => {
+        const date = new Date(time);
+        const itemsHtml = dayCourses.map(course => {
+            const clash = dayCourses.some(other => other !== course && checkExamConflict(course, other).hasConflict);
+            const status = clash ? 'clash' : (dayCourses.length > 1 ? 'same-day' : '');
+            return `
+                <div class="exam-item ${status}" style="border-inline-start-color: ${course.color};">
+                    <span class="exam-item-name">${course.name}</span>
+                    <span class="exam-item-time">${toPersianTime(course.exam.start)}-${toPersianTime(course.exam.end)}</span>
+                    ${clash ? '<span class="exam-flag">تداخل</span>' : (dayCourses.length > 1 ? '<span class="exam-flag">هم‌روز</span>' : '')}
+                </div>
+            `;
+        }).join('');
         
         return `
-            <div class="course-result" data-course-id="${courseId}">
-                <div class="course-result-header">
-                    <span class="course-result-name">${course.name}</span>
-                    <span class="course-result-code">${course.code}</span>
-                </div>
-                <div class="course-result-meta">
-                    <span>استاد: ${course.professor}</span>
-                    <span>${toPersianNumber(course.units)} واحد</span>
-                    <span>گروه ${toPersianNumber(course.group)}</span>
-                </div>
-                <div class="course-result-schedule">
-                    ${scheduleHtml}
+            <div class="exam-day">
+                <div class="exam-date">
+                    <span>${getPersianWeekday(date)}</span>
+                    <strong>${toPersianNumber(formatJalaliDate(date))}</strong>
                 </div>
-                <button class="btn-add-course" ${isSelected ? 'disabled' : ''} data-course-id="${courseId}">
-                    ${isSelected ? '✓ اضافه شده' : '+ افزودن به برنامه'}
-                </button>
+                <div class="exam-items">${itemsHtml}</div>
             </div>
         `;
     }).join('');
     
-    // Add event listeners to add buttons
-    elements.resultsList.querySelectorAll('.btn-add-course').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const courseId = btn.dataset.courseId;
-            addCourse(courseId);
-        });
-    });
+    const missingHtml = withoutExam.length > 0
+        ? `<p class="exam-missing">بدون تاریخ امتحان: ${withoutExam.map(c => c.name).join('، ')}</p>`
+        : '';
+    
+    elements.examCalendar.innerHTML = rowsHtml + missingHtml;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// ACADEMIC CALENDAR - HOLIDAYS, MEETING COUNTS & MONTH VIEW
+// ═══════════════════════════════════════════════════════════════
+
+// Hijri month/day of a date on the tabular Islamic calendar
+const HIJRI_FORMAT = new Intl.DateTimeFormat('en-u-ca-islamic-civil-nu-latn', { month: 'numeric', day: 'numeric' });
+
 /**
- * Show search results dropdown
- * @param {boolean} isInitial - Whether this is initial load (show first 10)
+ * Local date key (2025-09-23) used for day overrides and lookups
  */
-function showSearchResults(isInitial = false) {
-    const query = elements.searchInput.value;
-    const filtered = filterCourses(query);
-    renderSearchResults(filtered, isInitial && !query.trim());
-    elements.searchResults.classList.add('active');
-    elements.searchClear.classList.add('visible');
+function toDateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 }
 
 /**
- * Hide search results dropdown
+ * Local Date of a Jalali day
  */
-function hideSearchResults() {
-    setTimeout(() => {
-        elements.searchResults.classList.remove('active');
-    }, 200);
+function jalaliToDate(jy, jm, jd) {
+    const [gy, gm, gd] = jalaliToGregorian(jy, jm, jd);
+    return new Date(gy, gm - 1, gd);
 }
 
-// ═══════════════════════════════════════════════════════════════
-// COURSE MANAGEMENT
-// ═══════════════════════════════════════════════════════════════
+/**
+ * Hijri { month, day } of a date
+ */
+function getHijriDate(date) {
+    const shifted = new Date(date);
+    shifted.setDate(shifted.getDate() - CONFIG.HIJRI_DAY_OFFSET);
+    const parts = HIJRI_FORMAT.formatToParts(shifted);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return { month: value('month'), day: value('day') };
+}
 
 /**
- * Add a course to the schedule
+ * Name of the official holiday on a date, or null
  */
-function addCourse(courseId) {
-    const course = findCourseById(courseId);
-    if (!course) return;
+function getOfficialHoliday(date) {
+    const [, jm, jd] = gregorianToJalali(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    const solar = CONFIG.SOLAR_HOLIDAYS[`${jm}/${jd}`];
+    if (solar) return solar;
     
-    // Check if already selected
-    if (state.selectedCourses.includes(courseId)) {
-        showToast('این درس قبلاً اضافه شده است', 'warning');
-        return;
+    const { month, day } = getHijriDate(date);
+    if (CONFIG.LUNAR_HOLIDAYS[`${month}/${day}`]) return CONFIG.LUNAR_HOLIDAYS[`${month}/${day}`];
+    
+    // The last day of a 29-day month also counts as day 30
+    if (day === 29) {
+        const next = new Date(date);
+        next.setDate(next.getDate() + 1);
+        if (getHijriDate(next).day === 1) return CONFIG.LUNAR_HOLIDAYS[`${month}/30`] || null;
     }
+    return null;
+}
+
+/**
+ * Holiday name of a date before the student's overrides: official holidays, then the midterm break
+ */
+function getDefaultHoliday(date, midterm) {
+    const official = getOfficialHoliday(date);
+    if (official) return official;
+    return midterm && date >= midterm.start && date <= midterm.end ? CONFIG.MIDTERM_BREAK_LABEL : null;
+}
+
+/**
+ * Semester calendar built from the saved dates, or null when the range is incomplete
+ * @returns {{start: Date, end: Date, midterm: {start: Date, end: Date}|null, holidays: Map<string, string>}|null}
+ */
+function getSemesterCalendar(semester = state.semester) {
+    const start = parseDateInput(semester.start);
+    const end = parseDateInput(semester.end);
+    if (!start || !end || end < start) return null;
     
-    // Check for conflicts with existing courses
-    for (const existingId of state.selectedCourses) {
-        const existingCourse = findCourseById(existingId);
-        if (existingCourse) {
-            const conflict = checkConflict(course, existingCourse);
-            if (conflict.hasConflict) {
-                showConflictModal(course, existingCourse, conflict);
-                return;
-            }
+    // A single midterm date means a one-day break
+    const midtermStart = parseDateInput(semester.midtermStart) || parseDateInput(semester.midtermEnd);
+    const midtermEnd = parseDateInput(semester.midtermEnd) || midtermStart;
+    const midterm = midtermStart && midtermEnd >= midtermStart ? { start: midtermStart, end: midtermEnd } : null;
+    
+    const overrides = semester.overrides || {};
+    const holidays = new Map();
+    for (const date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+        const key = toDateKey(date);
+        let name = getDefaultHoliday(date, midterm);
+        if (key in overrides) {
+            name = overrides[key] ? (name || 'تعطیل') : null;
         }
+        if (name) holidays.set(key, name);
     }
     
-    // Add course
-    state.selectedCourses.push(courseId);
-    saveToStorage();
-    updateSummary();
-    renderSchedule();
-    renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
-    
-    showToast(`درس "${course.name}" اضافه شد`, 'success');
+    return { start, end, midterm, holidays };
 }
 
 /**
- * Remove a course from the schedule
+ * Dated sessions of a weekly schedule within the semester, honouring alternating weeks
+ * @returns {Array<{date: Date, slot: Object, holiday: string|null}>} sorted by date; holiday is set when cancelled
  */
-function removeCourse(courseId) {
-    const index = state.selectedCourses.indexOf(courseId);
-    if (index === -1) return;
+function getMeetingDates(schedule, calendar) {
+    const meetings = [];
+    schedule.forEach(slot => {
+        const step = slot.parity ? 14 : 7;
+        for (const date = getFirstMeetingDate(slot, calendar.start); date <= calendar.end; date.setDate(date.getDate() + step)) {
+            meetings.push({ date: new Date(date), slot, holiday: calendar.holidays.get(toDateKey(date)) || null });
+        }
+    });
+    return meetings.sort((a, b) => a.date - b.date || parseTime(a.slot.start) - parseTime(b.slot.start));
+}
+
+/**
+ * Held and cancelled session counts of a course over the semester
+ */
+function countMeetings(course, calendar) {
+    const meetings = getMeetingDates(course.schedule, calendar);
+    const cancelled = meetings.filter(meeting => meeting.holiday);
+    return { held: meetings.length - cancelled.length, cancelled };
+}
+
+/**
+ * Show the semester calendar with meeting counts, month view and calendar export
+ */
+function showSemesterModal() {
+    if (getDisplayedCourseIds().length === 0) {
+        showToast('برنامه خالی است', 'warning');
+        return;
+    }
     
-    const course = findCourseById(courseId);
+    if (!confirmUnitPolicy()) return;
     
-    state.selectedCourses.splice(index, 1);
-    saveToStorage();
-    updateSummary();
-    renderSchedule();
+    elements.semesterStart.value = state.semester.start;
+    elements.semesterEnd.value = state.semester.end;
+    elements.midtermStart.value = state.semester.midtermStart;
+    elements.midtermEnd.value = state.semester.midtermEnd;
     
-    // Update search results if visible
-    if (elements.searchResults.classList.contains('active')) {
-        renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
-    }
+    // Open on the month the semester starts in, or the current month
+    const calendar = getSemesterCalendar();
+    const from = calendar ? calendar.start : new Date();
+    state.calendarMonth = gregorianToJalali(from.getFullYear(), from.getMonth() + 1, from.getDate()).slice(0, 2);
     
-    // Update list modal if open
-    if (elements.listModal.classList.contains('active')) {
-        renderSelectedList();
-    }
+    renderSemesterCalendar();
+    elements.semesterModal.classList.add('active');
+}
+
+/**
+ * Save the dates typed in the semester modal and redraw the calendar
+ * @returns {boolean} false when a filled-in date is invalid
+ */
+function updateSemesterDates() {
+    const fields = [
+        [elements.semesterStart, 'تاریخ شروع ترم'],
+        [elements.semesterEnd, 'تاریخ پایان ترم'],
+        [elements.midtermStart, 'شروع تعطیلات میان‌ترم'],
+        [elements.midtermEnd, 'پایان تعطیلات میان‌ترم']
+    ];
     
-    closeAllModals();
+    const invalid = fields.find(([input]) => input.value.trim() && !parseDateInput(input.value));
+    if (invalid) {
+        showToast(`${invalid[1]} معتبر نیست`, 'warning');
+        return false;
+    }
     
-    if (course) {
-        showToast(`درس "${course.name}" حذف شد`, 'info');
+    const [start, end, midtermStart, midtermEnd] = fields.map(([input]) => parseDateInput(input.value));
+    if (start && end && end < start) {
+        showToast('تاریخ پایان ترم باید بعد از تاریخ شروع باشد', 'warning');
+        return false;
+    }
+    if (midtermStart && midtermEnd && midtermEnd < midtermStart) {
+        showToast('پایان تعطیلات میان‌ترم باید بعد از شروع آن باشد', 'warning');
+        return false;
     }
+    
+    const [startText, endText, midtermStartText, midtermEndText] = fields.map(([input]) => input.value.trim());
+    state.semester = {
+        ...state.semester,
+        start: startText,
+        end: endText,
+        midtermStart: midtermStartText,
+        midtermEnd: midtermEndText
+    };
+    saveSemester();
+    renderSemesterCalendar();
+    return true;
 }
 
 /**
- * Reset all selected courses
+ * Render meeting counts and the month view of the semester modal
  */
-function resetSchedule() {
-    if (state.selectedCourses.length === 0) {
-        showToast('برنامه خالی است', 'warning');
+function renderSemesterCalendar() {
+    const calendar = getSemesterCalendar();
+    
+    if (!calendar) {
+        elements.semesterMeetings.innerHTML = '<p class="suggestion-empty">برای دیدن تعداد جلسات، تاریخ شروع و پایان ترم را وارد کنید</p>';
+        elements.semesterMonth.innerHTML = '';
         return;
     }
     
-    if (confirm('آیا مطمئن هستید که می‌خواهید تمام دروس را حذف کنید؟')) {
-        state.selectedCourses = [];
-        saveToStorage();
-        updateSummary();
-        renderSchedule();
-        
-        if (elements.searchResults.classList.contains('active')) {
-            renderSearchResults(filterCourses(elements.searchInput.value), !elements.searchInput.value.trim());
-        }
-        
-        showToast('برنامه ریست شد', 'info');
-    }
+    const courses = getDisplayedCourseIds().map(findCourseById).filter(Boolean);
+    renderSemesterMeetings(courses, calendar);
+    renderSemesterMonth(courses, calendar);
 }
 
 /**
- * Update summary display
+ * Table of held and cancelled sessions per course
  */
-function updateSummary() {
-    const totalCourses = state.selectedCourses.length;
-    const totalUnits = state.selectedCourses.reduce((sum, courseId) => {
-        const course = findCourseById(courseId);
-        return sum + (course ? course.units : 0);
-    }, 0);
+function renderSemesterMeetings(courses, calendar) {
+    const rowsHtml = courses.map(course => {
+        const { held, cancelled } = countMeetings(course, calendar);
+        const lostHtml = cancelled.length > 0
+            ? cancelled.map(meeting => `${toPersianNumber(formatJalaliDate(meeting.date))}: ${meeting.holiday}`).join('، ')
+            : '—';
+        
+        return `
+            <tr>
+                <td><span class="semester-course-color" style="background-color: ${course.color};"></span>${course.name}</td>
+                <td class="semester-count">${toPersianNumber(held)}</td>
+                <td class="semester-count">${toPersianNumber(cancelled.length)}</td>
+                <td class="semester-lost">${lostHtml}</td>
+            </tr>
+        `;
+    }).join('');
     
-    elements.selectedCount.textContent = toPersianNumber(totalCourses);
-    elements.totalUnits.textContent = toPersianNumber(totalUnits);
+    elements.semesterMeetings.innerHTML = `
+        <table class="semester-table">
+            <thead>
+                <tr>
+                    <th>درس</th>
+                    <th>جلسات</th>
+                    <th>تعطیل</th>
+                    <th>جلسات از دست رفته</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+        <p class="form-hint">${toPersianNumber(calendar.holidays.size)} روز تعطیل در بازه ترم</p>
+    `;
 }
 
-// ═══════════════════════════════════════════════════════════════
-// SCHEDULE RENDERING - WITH MULTI-HOUR SPANNING
-// ═══════════════════════════════════════════════════════════════
-
 /**
- * Initialize schedule table structure
+ * Jalali month grid (Saturday to Friday) listing each class on its date
  */
-function initializeScheduleTable() {
-    elements.scheduleBody.innerHTML = '';
+function renderSemesterMonth(courses, calendar) {
+    const [jy, jm] = state.calendarMonth;
+    const first = jalaliToDate(jy, jm, 1);
+    const next = jm === 12 ? jalaliToDate(jy + 1, 1, 1) : jalaliToDate(jy, jm + 1, 1);
+    const dayCount = Math.round((next - first) / (24 * 60 * 60 * 1000));
     
-    CONFIG.DAYS.forEach(day => {
-        const row = document.createElement('tr');
-        row.className = 'day-row';
-        row.dataset.day = day;
+    // Sessions of the selected courses keyed by date
+    const byDate = new Map();
+    courses.forEach(course => {
+        getMeetingDates(course.schedule, calendar).forEach(meeting => {
+            const key = toDateKey(meeting.date);
+            if (!byDate.has(key)) byDate.set(key, []);
+            byDate.get(key).push({ ...meeting, course });
+        });
+    });
+    
+    const weekdays = [...Object.keys(CONFIG.WEEKDAY_INDEX), 'جمعه'];
+    const headerHtml = weekdays.map(day => `<div class="month-weekday">${day}</div>`).join('');
+    const leadingHtml = '<div class="month-day empty"></div>'.repeat((first.getDay() + 1) % 7);
+    
+    const daysHtml = Array.from({ length: dayCount }, (_, index) => {
+        const date = jalaliToDate(jy, jm, index + 1);
+        const key = toDateKey(date);
+        const number = `<span class="month-day-number">${toPersianNumber(index + 1)}</span>`;
         
-        // Day header cell
-        const dayCell = document.createElement('th');
-        dayCell.textContent = day;
-        row.appendChild(dayCell);
+        if (date < calendar.start || date > calendar.end) {
+            return `<div class="month-day outside">${number}</div>`;
+        }
         
-        // Hour cells
-        CONFIG.HOURS.forEach(hour => {
-            const cell = document.createElement('td');
-            cell.dataset.hour = hour;
-            cell.dataset.day = day;
-            row.appendChild(cell);
-        });
+        const holiday = calendar.holidays.get(key);
+        const meetings = (byDate.get(key) || [])
+            .sort((a, b) => parseTime(a.slot.start) - parseTime(b.slot.start));
+        const meetingsHtml = meetings.map(({ course, slot }) => `
+            <span class="month-meeting" style="border-inline-start-color: ${course.color};">${course.name} ${toPersianTime(slot.start)}</span>
+        `).join('');
+        const label = [
+            `${getPersianWeekday(date)} ${toPersianNumber(formatJalaliDate(date))}`,
+            holiday || '',
+            meetings.length > 0 ? `${toPersianNumber(meetings.length)} جلسه` : ''
+        ].filter(Boolean).join('، ');
         
-        elements.scheduleBody.appendChild(row);
-    });
+        return `
+            <button type="button" class="month-day${holiday ? ' holiday' : ''}${date.getDay() === 5 ? ' weekend' : ''}"
+                    data-date="${key}" aria-label="${label}" title="${holiday ? 'کلیک: روز عادی' : 'کلیک: روز تعطیل'}">
+                ${number}
+                ${holiday ? `<span class="month-day-holiday">${holiday}</span>` : ''}
+                ${meetingsHtml}
+            </button>
+        `;
+    }).join('');
+    
+    elements.semesterMonth.innerHTML = `
+        <div class="month-nav">
+            <button type="button" class="btn-swap" data-month-step="-1" aria-label="ماه قبل">ماه قبل</button>
+            <strong>${CONFIG.JALALI_MONTHS[jm - 1]} ${toPersianNumber(jy)}</strong>
+            <button type="button" class="btn-swap" data-month-step="1" aria-label="ماه بعد">ماه بعد</button>
+        </div>
+        <div class="month-grid">${headerHtml}${leadingHtml}${daysHtml}</div>
+    `;
 }
 
 /**
- * Render course blocks on schedule
+ * Move the month view by a number of months
  */
-function renderSchedule() {
-    // Clear all existing blocks
-    elements.scheduleBody.querySelectorAll('.course-block').forEach(el => el.remove());
-    
-    // Track occupied cells to avoid overlapping
-    const occupiedCells = new Set();
-    
-    // Render each selected course
-    state.selectedCourses.forEach(courseId => {
-        const course = findCourseById(courseId);
-        if (!course) return;
-        
-        course.schedule.forEach(slot => {
-            renderCourseBlock(course, slot, occupiedCells);
-        });
-    });
+function shiftCalendarMonth(step) {
+    const [jy, jm] = state.calendarMonth;
+    const index = jy * 12 + (jm - 1) + step;
+    state.calendarMonth = [Math.floor(index / 12), (index % 12) + 1];
+    renderSemesterCalendar();
 }
 
 /**
- * Render a single course block with proper multi-hour spanning
+ * Toggle a semester day between holiday and class day; an override matching the
+ * official calendar is dropped so later corrections to the holiday list still apply
  */
-function renderCourseBlock(course, slot, occupiedCells) {
-    const startTime = parseTime(slot.start);
-    const endTime = parseTime(slot.end);
-    const startHour = Math.floor(startTime);
-    const duration = endTime - startTime;
-    
-    // Find the starting cell
-    const startCell = elements.scheduleBody.querySelector(
-        `tr[data-day="${slot.day}"] td[data-hour="${startHour}"]`
-    );
-    
-    if (!startCell) return;
+function toggleSemesterHoliday(key) {
+    const calendar = getSemesterCalendar();
+    if (!calendar) return;
     
-    // Check if this cell is already occupied
-    const cellKey = `${slot.day}-${startHour}`;
-    if (occupiedCells.has(cellKey)) {
-        console.warn(`Cell ${cellKey} is already occupied`);
-        return;
-    }
-    
-    // Mark cells as occupied for the duration of this course
-    for (let h = startHour; h < endTime; h++) {
-        occupiedCells.add(`${slot.day}-${h}`);
+    const makeHoliday = !calendar.holidays.has(key);
+    const isDefault = Boolean(getDefaultHoliday(parseDateInput(key), calendar.midterm));
+    const overrides = { ...state.semester.overrides };
+    if (makeHoliday === isDefault) {
+        delete overrides[key];
+    } else {
+        overrides[key] = makeHoliday;
     }
     
-    // Create the block
-    const block = document.createElement('div');
-    block.className = 'course-block';
-    block.style.backgroundColor = course.color;
-    block.dataset.courseId = getCourseId(course);
-    
-    // Calculate position and size
-    // Each hour cell is treated as 1 unit
-    // The block spans from startTime to endTime within the row
-    const cellWidth = startCell.offsetWidth;
-    const cellHeight = startCell.offsetHeight;
-    
-    // Position relative to the starting cell
-    const offsetMinutes = (startTime - startHour) * 60;
-    const offsetPercent = offsetMinutes / 60 * 100;
-    
-    block.style.cssText = `
-        position: absolute;
-        left: ${offsetPercent}%;
-        width: ${duration * 100}%;
-        top: 2px;
-        height: calc(100% - 4px);
-        background-color: ${course.color};
-        border-radius: 4px;
-        z-index: 10;
-        display: flex;
-        flex-direction: column;
-        justify-content: center;
-        align-items: center;
-        padding: 4px;
-        cursor: pointer;
-        overflow: hidden;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-    `;
-    
-    block.innerHTML = `
-        <span class="course-block-name" style="font-size: 11px; font-weight: 600; color: white; text-align: center; line-height: 1.3; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 100%;">${course.name}</span>
-        <span class="course-block-time" style="font-size: 10px; color: rgba(255,255,255,0.8);">${toPersianTime(slot.start)}-${toPersianTime(slot.end)}</span>
-        <span class="course-block-group" style="font-size: 9px; color: rgba(255,255,255,0.7); background: rgba(0,0,0,0.3); padding: 1px 4px; border-radius: 2px;">گروه ${toPersianNumber(course.group)}</span>
-    `;
-    
-    block.addEventListener('click', () => {
-        showCourseModal(course);
-    });
-    
-    // Make the cell position relative to contain the absolute block
-    startCell.style.position = 'relative';
-    startCell.appendChild(block);
+    state.semester = { ...state.semester, overrides };
+    saveSemester();
+    renderSemesterCalendar();
+    elements.semesterMonth.querySelector(`[data-date="${key}"]`)?.focus();
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -696,6 +5549,7 @@ function showCourseModal(course) {
         <div class="schedule-item">
             <span class="schedule-item-day">${s.day}</span>
             <span class="schedule-item-time">${toPersianTime(s.start)} - ${toPersianTime(s.end)}</span>
+            ${s.parity ? `<span class="schedule-item-parity">هفته ${CONFIG.WEEK_PARITY[s.parity]}</span>` : ''}
         </div>
     `).join('');
     
@@ -711,7 +5565,10 @@ function showCourseModal(course) {
             </div>
             <div class="course-info-item">
                 <span class="course-info-label">استاد</span>
-                <span class="course-info-value">${course.professor}</span>
+                <span class="course-info-value">
+                    ${course.professor}
+                    ${course.professor ? '<button class="professor-link" id="btnShowProfessor">همه گروه‌های این استاد</button>' : ''}
+                </span>
             </div>
             <div class="course-info-item">
                 <span class="course-info-label">تعداد واحد</span>
@@ -719,7 +5576,21 @@ function showCourseModal(course) {
             </div>
             <div class="course-info-item">
                 <span class="course-info-label">گروه</span>
-                <span class="course-info-value">${toPersianNumber(course.group)}</span>
+                <span class="course-info-value">${toPersianNumber(course.group)} ${renderSeatBadge(course)}</span>
+            </div>
+            ${(course.prerequisites || []).length > 0 ? `
+            <div class="course-info-item">
+                <span class="course-info-label">پیش‌نیاز</span>
+                <span class="course-info-value">${course.prerequisites.map(describeCode).join('، ')}</span>
+            </div>` : ''}
+            ${getCorequisiteCodes(course).length > 0 ? `
+            <div class="course-info-item">
+                <span class="course-info-label">هم‌نیاز</span>
+                <span class="course-info-value">${getCorequisiteCodes(course).map(describeCode).join('، ')}</span>
+            </div>` : ''}
+            <div class="course-info-item">
+                <span class="course-info-label">امتحان پایان‌ترم</span>
+                <span class="course-info-value">${formatExam(course.exam)}</span>
             </div>
             <div class="course-info-item">
                 <span class="course-info-label">برنامه هفتگی</span>
@@ -727,9 +5598,25 @@ function showCourseModal(course) {
                     ${scheduleHtml}
                 </div>
             </div>
+            ${state.selectedCourses.includes(getCourseId(course)) ? renderBackupSections(course) : ''}
         </div>
     `;
     
+    const professorButton = elements.courseModalBody.querySelector('#btnShowProfessor');
+    if (professorButton) {
+        professorButton.addEventListener('click', () => showProfessorModal(course.professor));
+    }
+    
+    elements.courseModalBody.querySelectorAll('[data-backup]').forEach(input => {
+        input.addEventListener('change', () => {
+            toggleBackupSection(course.code, input.dataset.backup, input.checked);
+            showCourseModal(course);
+        });
+    });
+    elements.courseModalBody.querySelectorAll('[data-use-backup]').forEach(btn => {
+        btn.addEventListener('click', () => useBackupSection(getCourseId(course), btn.dataset.useBackup));
+    });
+    
     elements.courseModal.classList.add('active');
 }
 
@@ -737,14 +5624,129 @@ function showCourseModal(course) {
  * Show conflict modal
  */
 function showConflictModal(newCourse, existingCourse, conflict) {
-    elements.conflictMessage.innerHTML = `
+    elements.conflictMessage.innerHTML = conflict.type === 'exam' ? `
+        امتحان درس "<strong>${newCourse.name}</strong>" با امتحان درس "<strong>${existingCourse.name}</strong>"
+        تداخل دارد:<br><br>
+        تاریخ <strong>${toPersianNumber(conflict.date)}</strong> - ساعت ${toPersianTime(conflict.time1)} و ${toPersianTime(conflict.time2)}
+    ` : conflict.type === 'busy' ? `
+        درس "<strong>${newCourse.name}</strong>" با زمان مشغول "<strong>${existingCourse.name}</strong>"
+        تداخل دارد:<br><br>
+        روز <strong>${conflict.day}</strong> - ساعت ${toPersianTime(conflict.time2)}
+    ` : `
         درس "<strong>${newCourse.name}</strong>" با درس "<strong>${existingCourse.name}</strong>"
         تداخل زمانی دارد:<br><br>
         روز <strong>${conflict.day}</strong> - ساعت ${toPersianTime(conflict.time1)}
     `;
+    
+    // A busy block has no other groups to move to
+    renderConflictSuggestions(newCourse, conflict.type === 'busy' ? null : existingCourse);
     elements.conflictModal.classList.add('active');
 }
 
+/**
+ * List sections that resolve a conflict
+ * - other groups of the new course that fit the current schedule
+ * - other groups of the conflicting course that free the slot for the new one
+ * `existingCourse` is null when the conflict is with a busy block
+ */
+function renderConflictSuggestions(newCourse, existingCourse) {
+    const groups = groupCoursesByCode();
+    const newId = getCourseId(newCourse);
+    const existingId = existingCourse && getCourseId(existingCourse);
+    
+    const newAlternatives = (groups.get(newCourse.code) || [])
+        .filter(section => getCourseId(section) !== newId && fitsSelection(section));
+    
+    // Moving the existing course only helps if the new one fits everything else
+    const existingAlternatives = !existingCourse || !fitsSelection(newCourse, [existingId]) ? [] : (groups.get(existingCourse.code) || [])
+        .filter(section => getCourseId(section) !== existingId)
+        .filter(section => fitsSelection(section, [existingId]) &&
+            !checkConflict(section, newCourse).hasConflict &&
+            !checkExamConflict(section, newCourse).hasConflict);
+    
+    const describeSection = section => `
+        گروه ${toPersianNumber(section.group)} - ${section.professor || 'بدون استاد'}
+        <span class="suggestion-time">${section.schedule.map(slot =>
+            `${slot.day} ${toPersianTime(slot.start)}-${toPersianTime(slot.end)}${getParityLabel(slot)}`).join('، ')}</span>
+    `;
+    
+    const sectionsHtml = [];
+    
+    if (newAlternatives.length > 0) {
+        sectionsHtml.push(`
+            <div class="suggestion-group">
+                <span class="suggestion-title">گروه‌های دیگر "${newCourse.name}" بدون تداخل:</span>
+                ${newAlternatives.map(section => `
+                    <div class="suggestion-item">
+                        <span class="suggestion-text">${describeSection(section)}</span>
+                        <button class="btn-secondary btn-swap" data-add="${getCourseId(section)}">افزودن این گروه</button>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+    }
+    
+    if (existingAlternatives.length > 0) {
+        sectionsHtml.push(`
+            <div class="suggestion-group">
+                <span class="suggestion-title">تغییر گروه "${existingCourse.name}" تا جا باز شود:</span>
+                ${existingAlternatives.map(section => `
+                    <div class="suggestion-item">
+                        <span class="suggestion-text">${describeSection(section)}</span>
+                        <button class="btn-secondary btn-swap" data-replace="${existingId}" data-with="${getCourseId(section)}" data-add="${newId}">جابجایی</button>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+    }
+    
+    elements.conflictSuggestions.innerHTML = sectionsHtml.length > 0
+        ? sectionsHtml.join('')
+        : '<p class="suggestion-empty">گروه جایگزینی بدون تداخل یافت نشد</p>';
+    
+    elements.conflictSuggestions.querySelectorAll('.btn-swap').forEach(btn => {
+        btn.addEventListener('click', () => {
+            swapSections(btn.dataset.replace, btn.dataset.with, btn.dataset.add);
+        });
+    });
+}
+
+/**
+ * Apply a conflict suggestion
+ * Optionally replaces one selected section with another, then adds a course
+ */
+function swapSections(replaceId, withId, addId) {
+    const before = captureSnapshot();
+    
+    if (replaceId && withId) {
+        const index = state.selectedCourses.indexOf(replaceId);
+        if (index === -1) return;
+        state.selectedCourses[index] = withId;
+    }
+    
+    // The swap and the add are one history entry
+    closeAllModals();
+    state.history.paused = true;
+    addCourse(addId);
+    state.history.paused = false;
+    
+    // Roll back the group change when the new course was not added after all
+    if (!state.selectedCourses.includes(addId)) {
+        state.selectedCourses = before.courses;
+        saveToStorage();
+        updateSummary();
+        renderSchedule();
+        return;
+    }
+    
+    const course = findCourseById(addId);
+    const entry = recordHistory(`تعویض گروه برای "${course.name}"`, before);
+    const message = replaceId && withId
+        ? `گروه درس "${findCourseById(withId)?.name}" عوض شد و "${course.name}" اضافه شد`
+        : `درس "${course.name}" اضافه شد`;
+    showToast(message, 'success', getUndoAction(entry));
+}
+
 /**
  * Render selected courses list in modal
  */
@@ -768,15 +5770,17 @@ function renderSelectedList() {
         const course = findCourseById(courseId);
         if (!course) return '';
         
-        const scheduleText = course.schedule.map(s => `${s.day} ${toPersianTime(s.start)}-${toPersianTime(s.end)}`).join('، ');
+        const scheduleText = course.schedule.map(s => `${s.day} ${toPersianTime(s.start)}-${toPersianTime(s.end)}${getParityLabel(s)}`).join('، ');
+        const backups = getBackupSections(course.code).map(findCourseById);
         
         return `
             <div class="selected-item">
                 <div class="selected-item-info">
-                    <span class="selected-item-name">${course.name}</span>
+                    <span class="selected-item-name">${course.name} ${renderSeatBadge(course)}</span>
                     <span class="selected-item-meta">
                         ${course.professor} | ${toPersianNumber(course.units)} واحد | گروه ${toPersianNumber(course.group)}<br>
                         ${scheduleText}
+                        ${backups.length > 0 ? `<br>پشتیبان: ${backups.map(backup => `گروه ${toPersianNumber(backup.group)}${isSectionFull(backup) ? ' (تکمیل)' : ''}`).join('، ')}` : ''}
                     </span>
                 </div>
                 <button class="selected-item-remove" data-course-id="${courseId}" title="حذف">
@@ -799,103 +5803,371 @@ function renderSelectedList() {
 }
 
 /**
- * Close all modals
+ * Close all modals
+ */
+function closeAllModals() {
+    elements.courseModal.classList.remove('active');
+    elements.listModal.classList.remove('active');
+    elements.conflictModal.classList.remove('active');
+    elements.generatorModal.classList.remove('active');
+    elements.importModal.classList.remove('active');
+    elements.semesterModal.classList.remove('active');
+    elements.compareModal.classList.remove('active');
+    elements.passedModal.classList.remove('active');
+    elements.standingModal.classList.remove('active');
+    elements.preferencesModal.classList.remove('active');
+    elements.changesModal.classList.remove('active');
+    elements.pdfModal.classList.remove('active');
+    elements.busyModal.classList.remove('active');
+    elements.professorModal.classList.remove('active');
+    state.currentModalCourse = null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EXPORT FUNCTIONS - VECTOR PDF WITH PERSIAN SUPPORT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Show PDF export options (student name and ID)
+ */
+function showPdfModal() {
+    if (getDisplayedCourseIds().length === 0) {
+        showToast('برنامه خالی است', 'warning');
+        return;
+    }
+    
+    if (!confirmUnitPolicy()) return;
+    
+    elements.studentName.value = state.student.name;
+    elements.studentId.value = state.student.id;
+    elements.pdfModal.classList.add('active');
+}
+
+/**
+ * Fetch a bundled TTF font as base64 for jsPDF's virtual file system
+ */
+async function fetchFontBase64(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load font ${url}`);
+    
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Embed Vazirmatn so Persian text in the PDF is real, selectable text
+ */
+async function embedPdfFonts(pdf) {
+    for (const [style, url] of Object.entries(CONFIG.PDF_FONTS)) {
+        const fileName = url.split('/').pop();
+        pdf.addFileToVFS(fileName, await fetchFontBase64(url));
+        pdf.addFont(fileName, 'Vazirmatn', style);
+    }
+    pdf.setFont('Vazirmatn', 'normal');
+}
+
+/**
+ * Convert #rgb / #rrggbb to [r, g, b]
+ */
+function hexToRgb(color) {
+    let hex = color.replace('#', '');
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the width
+ */
+function fitPdfText(pdf, text, maxWidth) {
+    if (pdf.getTextWidth(text) <= maxWidth) return text;
+    
+    let fitted = text;
+    while (fitted.length > 1 && pdf.getTextWidth(`${fitted}…`) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+/**
+ * Title, date and optional student details at the top of a page
+ * @returns {number} Y position where page content can start
+ */
+function drawPdfHeader(pdf, title, student) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const margin = CONFIG.PDF_MARGIN;
+    
+    pdf.setFont('Vazirmatn', 'bold');
+    pdf.setFontSize(16);
+    pdf.setTextColor(20, 20, 20);
+    pdf.text(title, pageWidth - margin, margin + 4, { align: 'right' });
+    
+    pdf.setFont('Vazirmatn', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(100, 100, 100);
+    pdf.text(`تاریخ: ${toPersianNumber(formatJalaliDate(new Date()))}`, margin, margin + 4);
+    
+    const calendar = getSemesterCalendar();
+    if (calendar) {
+        const range = `${toPersianNumber(formatJalaliDate(calendar.start))} تا ${toPersianNumber(formatJalaliDate(calendar.end))}`;
+        pdf.text(`ترم: ${range}`, margin, margin + 10);
+    }
+    
+    const details = [
+        student.name ? `نام دانشجو: ${student.name}` : '',
+        student.id ? `شماره دانشجویی: ${toPersianNumber(student.id)}` : ''
+    ].filter(Boolean).join('     ');
+    if (details) {
+        pdf.text(details, pageWidth - margin, margin + 10, { align: 'right' });
+    }
+    
+    pdf.setDrawColor(40, 40, 40);
+    pdf.setLineWidth(0.4);
+    pdf.line(margin, margin + 13, pageWidth - margin, margin + 13);
+    
+    return margin + 18;
+}
+
+/**
+ * Landscape page with the weekly grid drawn as vector shapes in course colours, busy blocks in grey
+ */
+function drawPdfWeeklyGrid(pdf, courseIds, busyBlocks, student) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = CONFIG.PDF_MARGIN;
+    const top = drawPdfHeader(pdf, 'برنامه هفتگی', student);
+    
+    const items = [...collectScheduleItems(courseIds), ...collectBusyItems(busyBlocks)];
+    const hours = getGridHours(items);
+    
+    // Hours run right to left after the day column
+    const dayColumn = 22;
+    const headerRow = 8;
+    const gridRight = pageWidth - margin;
+    const hourWidth = (pageWidth - 2 * margin - dayColumn) / hours.length;
+    const rowHeight = (pageHeight - top - margin - headerRow) / CONFIG.DAYS.length;
+    const hourX = hour => gridRight - dayColumn - (hour - hours[0]) * hourWidth;
+    
+    // Hour header
+    pdf.setFontSize(8);
+    pdf.setTextColor(60, 60, 60);
+    pdf.setDrawColor(180, 180, 180);
+    pdf.setLineWidth(0.2);
+    hours.forEach(hour => {
+        const x = hourX(hour) - hourWidth;
+        pdf.setFillColor(235, 235, 235);
+        pdf.rect(x, top, hourWidth, headerRow, 'FD');
+        pdf.text(toPersianTime(`${String(hour).padStart(2, '0')}:00`), x + hourWidth / 2, top + 5.5, { align: 'center' });
+    });
+    
+    CONFIG.DAYS.forEach((day, index) => {
+        const y = top + headerRow + index * rowHeight;
+        
+        // Day label and empty cells
+        pdf.setFillColor(225, 225, 225);
+        pdf.rect(gridRight - dayColumn, y, dayColumn, rowHeight, 'FD');
+        pdf.setFont('Vazirmatn', 'bold');
+        pdf.setFontSize(9);
+        pdf.setTextColor(30, 30, 30);
+        pdf.text(day, gridRight - dayColumn / 2, y + rowHeight / 2 + 1.5, { align: 'center' });
+        
+        hours.forEach(hour => {
+            pdf.rect(hourX(hour) - hourWidth, y, hourWidth, rowHeight, 'S');
+        });
+        
+        // Session blocks, split into lanes where they overlap
+        const dayItems = items.filter(item => item.slot.day === day);
+        layoutDaySlots(dayItems);
+        
+        dayItems.forEach(({ course, busy, slot, start, end, lane, laneCount }) => {
+            let blockTop = y + lane / laneCount * rowHeight;
+            let blockHeight = rowHeight / laneCount;
+            if (slot.parity) {
+                blockHeight /= 2;
+                if (slot.parity === 'even') blockTop += blockHeight;
+            }
+            
+            const width = (end - start) * hourWidth - 1;
+            const x = hourX(start) - width - 0.5;
+            const [r, g, b] = hexToRgb(busy ? CONFIG.BUSY_COLOR : course.color);
+            
+            pdf.setFillColor(r, g, b);
+            pdf.roundedRect(x, blockTop + 0.5, width, blockHeight - 1, 1, 1, 'F');
+            
+            // Light colours get dark text
+            const isLight = (r * 299 + g * 587 + b * 114) / 1000 > 150;
+            pdf.setTextColor(...(isLight ? [20, 20, 20] : [255, 255, 255]));
+            
+            const centerX = x + width / 2;
+            const centerY = blockTop + blockHeight / 2;
+            pdf.setFont('Vazirmatn', 'bold');
+            pdf.setFontSize(blockHeight < 10 ? 6 : 8);
+            pdf.text(fitPdfText(pdf, busy ? busy.name : course.name, width - 2), centerX, centerY - (blockHeight < 10 ? 0 : 1), { align: 'center' });
+            
+            if (blockHeight >= 10) {
+                pdf.setFont('Vazirmatn', 'normal');
+                pdf.setFontSize(6.5);
+                const time = `${toPersianTime(slot.start)}-${toPersianTime(slot.end)}${getParityLabel(slot)} · ${busy ? 'مشغول' : `گروه ${toPersianNumber(course.group)}`}`;
+                pdf.text(fitPdfText(pdf, time, width - 2), centerX, centerY + 3.5, { align: 'center' });
+            }
+        });
+    });
+    
+    pdf.setFont('Vazirmatn', 'normal');
+}
+
+/**
+ * Portrait pages listing the courses, continued across as many pages as needed
  */
-function closeAllModals() {
-    elements.courseModal.classList.remove('active');
-    elements.listModal.classList.remove('active');
-    elements.conflictModal.classList.remove('active');
-    state.currentModalCourse = null;
+function drawPdfCourseList(pdf, courses, busyBlocks, student) {
+    const margin = CONFIG.PDF_MARGIN;
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const right = pageWidth - margin;
+    
+    // Column widths (mm), right to left
+    const columns = [
+        { label: 'ردیف', width: 10 },
+        { label: 'نام درس', width: 44 },
+        { label: 'کد', width: 18 },
+        { label: 'استاد', width: 30 },
+        { label: 'واحد', width: 11 },
+        { label: 'گروه', width: 11 },
+        { label: 'زمان و امتحان', width: pageWidth - 2 * margin - 124 }
+    ];
+    
+    const drawColumnHeader = (y) => {
+        pdf.setFont('Vazirmatn', 'bold');
+        pdf.setFontSize(8.5);
+        pdf.setTextColor(30, 30, 30);
+        pdf.setFillColor(235, 235, 235);
+        pdf.rect(margin, y, pageWidth - 2 * margin, 8, 'F');
+        
+        let x = right;
+        columns.forEach(column => {
+            pdf.text(column.label, x - 1.5, y + 5.5, { align: 'right' });
+            x -= column.width;
+        });
+        pdf.setFont('Vazirmatn', 'normal');
+        return y + 8;
+    };
+    
+    let y = drawColumnHeader(drawPdfHeader(pdf, 'دروس انتخاب شده', student));
+    const calendar = getSemesterCalendar();
+    
+    courses.forEach((course, index) => {
+        pdf.setFontSize(8.5);
+        const meetings = calendar ? countMeetings(course, calendar) : null;
+        const times = [
+            formatSchedule(course.schedule),
+            course.exam ? `امتحان: ${formatExam(course.exam)}` : '',
+            meetings ? `جلسات ترم: ${toPersianNumber(meetings.held)} - تعطیل: ${toPersianNumber(meetings.cancelled.length)}` : ''
+        ].filter(Boolean);
+        const timeLines = times.flatMap(text => pdf.splitTextToSize(text, columns[6].width - 3));
+        const rowHeight = Math.max(9, timeLines.length * 4.5 + 4);
+        
+        // Continue on a new page when the row would cross the bottom margin
+        if (y + rowHeight > pageHeight - margin - 8) {
+            pdf.addPage('a4', 'portrait');
+            y = drawColumnHeader(drawPdfHeader(pdf, 'دروس انتخاب شده - ادامه', student));
+        }
+        
+        const cells = [
+            toPersianNumber(index + 1),
+            fitPdfText(pdf, course.name, columns[1].width - 3),
+            course.code,
+            fitPdfText(pdf, course.professor || '—', columns[3].width - 3),
+            toPersianNumber(course.units),
+            toPersianNumber(course.group)
+        ];
+        
+        // Course colour marker on the right edge
+        pdf.setFillColor(...hexToRgb(course.color));
+        pdf.rect(right - 1.2, y + 1, 1.2, rowHeight - 2, 'F');
+        
+        pdf.setTextColor(30, 30, 30);
+        let x = right;
+        cells.forEach((text, i) => {
+            pdf.text(String(text), x - 2.5, y + 5.5, { align: 'right' });
+            x -= columns[i].width;
+        });
+        pdf.setTextColor(90, 90, 90);
+        timeLines.forEach((line, i) => {
+            pdf.text(line, x - 1.5, y + 5.5 + i * 4.5, { align: 'right' });
+        });
+        
+        pdf.setDrawColor(210, 210, 210);
+        pdf.setLineWidth(0.2);
+        pdf.line(margin, y + rowHeight, right, y + rowHeight);
+        y += rowHeight;
+    });
+    
+    const totalUnits = courses.reduce((sum, course) => sum + course.units, 0);
+    pdf.setFont('Vazirmatn', 'bold');
+    pdf.setFontSize(10);
+    pdf.setTextColor(20, 20, 20);
+    pdf.text(`جمع واحد: ${toPersianNumber(totalUnits)}`, right, Math.min(y + 8, pageHeight - margin - 4), { align: 'right' });
+    pdf.setFont('Vazirmatn', 'normal');
+    
+    // Busy blocks are listed under the total; they carry no units
+    if (busyBlocks.length > 0) {
+        y = Math.min(y + 8, pageHeight - margin - 4) + 7;
+        if (y > pageHeight - margin - 8) {
+            pdf.addPage('a4', 'portrait');
+            y = drawPdfHeader(pdf, 'دروس انتخاب شده - ادامه', student) + 4;
+        }
+        pdf.setFontSize(8.5);
+        pdf.setTextColor(90, 90, 90);
+        const lines = pdf.splitTextToSize(`زمان‌های مشغول - ${busyBlocks.map(describeBusyBlock).join('، ')}`, pageWidth - 2 * margin);
+        pdf.text(lines, right, y, { align: 'right' });
+    }
 }
 
-// ═══════════════════════════════════════════════════════════════
-// EXPORT FUNCTIONS - FIXED PDF WITH PERSIAN SUPPORT
-// ═══════════════════════════════════════════════════════════════
-
 /**
- * Export schedule as PDF using image capture (supports Persian)
+ * Export schedule as a vector PDF with embedded Persian font
+ * Page 1: weekly grid (landscape); following pages: course list
  */
 async function exportPDF() {
-    if (state.selectedCourses.length === 0) {
-        showToast('برنامه خالی است', 'warning');
-        return;
-    }
+    state.student = { name: elements.studentName.value.trim(), id: elements.studentId.value.trim() };
+    saveStudent();
+    closeAllModals();
     
     try {
         showToast('در حال تهیه PDF...', 'info');
         
         const { jsPDF } = window.jspdf;
-        
-        // Create a temporary container for PDF content
-        const pdfContainer = document.createElement('div');
-        pdfContainer.style.cssText = `
-            position: fixed;
-            left: -9999px;
-            top: 0;
-            width: 1200px;
-            padding: 30px;
-            background: white;
-            font-family: 'Vazirmatn', sans-serif;
-            direction: rtl;
-        `;
-        document.body.appendChild(pdfContainer);
-        
-        // Build PDF content HTML
-        let coursesListHtml = '';
-        state.selectedCourses.forEach((courseId, index) => {
-            const course = findCourseById(courseId);
-            if (!course) return;
-            const scheduleText = course.schedule.map(s => `${s.day} ${s.start}-${s.end}`).join('، ');
-            coursesListHtml += `
-                <div style="margin-bottom: 15px; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
-                    <div style="font-weight: bold; font-size: 14px; margin-bottom: 5px;">${index + 1}. ${course.name}</div>
-                    <div style="font-size: 12px; color: #666;">
-                        کد: ${course.code} | استاد: ${course.professor} | ${course.units} واحد | گروه ${course.group}
-                    </div>
-                    <div style="font-size: 11px; color: #888; margin-top: 3px;">${scheduleText}</div>
-                </div>
-            `;
-        });
-        
-        const totalUnits = state.selectedCourses.reduce((sum, id) => sum + (findCourseById(id)?.units || 0), 0);
-        
-        pdfContainer.innerHTML = `
-            <div style="text-align: center; margin-bottom: 30px;">
-                <h1 style="font-size: 24px; margin-bottom: 10px;">برنامه هفتگی</h1>
-                <p style="font-size: 12px; color: #666;">تاریخ: ${new Date().toLocaleDateString('fa-IR')}</p>
-            </div>
-            <div style="margin-bottom: 20px;">
-                <h2 style="font-size: 16px; margin-bottom: 15px; border-bottom: 2px solid #333; padding-bottom: 5px;">دروس انتخاب شده</h2>
-                ${coursesListHtml}
-            </div>
-            <div style="text-align: left; font-weight: bold; font-size: 14px; margin-top: 20px; padding-top: 10px; border-top: 2px solid #333;">
-                جمع واحد: ${totalUnits}
-            </div>
-        `;
-        
-        // Capture the content as image
-        const canvas = await html2canvas(pdfContainer, {
-            backgroundColor: '#ffffff',
-            scale: 2,
-            useCORS: true,
-            allowTaint: true
-        });
-        
-        // Remove temporary container
-        document.body.removeChild(pdfContainer);
-        
-        // Create PDF
         const pdf = new jsPDF({
-            orientation: 'portrait',
+            orientation: 'landscape',
             unit: 'mm',
             format: 'a4'
         });
+        await embedPdfFonts(pdf);
+        
+        const courseIds = getDisplayedCourseIds();
+        const busyBlocks = getDisplayedBusyBlocks();
+        const courses = courseIds.map(findCourseById).filter(Boolean);
+        drawPdfWeeklyGrid(pdf, courseIds, busyBlocks, state.student);
         
-        const imgData = canvas.toDataURL('image/png');
-        const pdfWidth = 210; // A4 width in mm
-        const pdfHeight = (canvas.height * pdfWidth) / canvas.width;
+        pdf.addPage('a4', 'portrait');
+        drawPdfCourseList(pdf, courses, busyBlocks, state.student);
+        
+        // Page numbers
+        const pageCount = pdf.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            pdf.setPage(page);
+            pdf.setFontSize(8);
+            pdf.setTextColor(130, 130, 130);
+            pdf.text(
+                `صفحه ${toPersianNumber(page)} از ${toPersianNumber(pageCount)}`,
+                pdf.internal.pageSize.getWidth() / 2,
+                pdf.internal.pageSize.getHeight() - CONFIG.PDF_MARGIN / 2,
+                { align: 'center' }
+            );
+        }
         
-        pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight);
         pdf.save('schedule.pdf');
         
         showToast('PDF با موفقیت دانلود شد', 'success');
@@ -909,16 +6181,20 @@ async function exportPDF() {
  * Copy schedule to clipboard
  */
 async function copyToClipboard() {
-    if (state.selectedCourses.length === 0) {
+    const courseIds = getDisplayedCourseIds();
+    const busyBlocks = getDisplayedBusyBlocks();
+    if (courseIds.length === 0) {
         showToast('برنامه خالی است', 'warning');
         return;
     }
     
+    if (!confirmUnitPolicy()) return;
+    
     try {
         let text = 'برنامه هفتگی\n';
         text += '═══════════════\n\n';
         
-        state.selectedCourses.forEach((courseId, index) => {
+        courseIds.forEach((courseId, index) => {
             const course = findCourseById(courseId);
             if (!course) return;
             
@@ -927,12 +6203,24 @@ async function copyToClipboard() {
             text += `   استاد: ${course.professor}\n`;
             text += `   واحد: ${course.units}\n`;
             text += `   گروه: ${course.group}\n`;
-            text += `   برنامه: ${course.schedule.map(s => `${s.day} ${s.start}-${s.end}`).join('، ')}\n`;
+            text += `   برنامه: ${course.schedule.map(s => `${s.day} ${s.start}-${s.end}${getParityLabel(s)}`).join('، ')}\n`;
+            if (course.exam) {
+                text += `   امتحان: ${course.exam.date} ${course.exam.start}-${course.exam.end}\n`;
+            }
             text += '\n';
         });
         
+        // Busy blocks are listed but never add units
+        if (busyBlocks.length > 0) {
+            text += 'زمان‌های مشغول:\n';
+            busyBlocks.forEach(block => {
+                text += `   ${block.name}: ${block.schedule.map(s => `${s.day} ${s.start}-${s.end}`).join('، ')}\n`;
+            });
+            text += '\n';
+        }
+        
         text += `═══════════════\n`;
-        text += `جمع واحد: ${state.selectedCourses.reduce((sum, id) => sum + (findCourseById(id)?.units || 0), 0)}\n`;
+        text += `جمع واحد: ${courseIds.reduce((sum, id) => sum + (findCourseById(id)?.units || 0), 0)}\n`;
         
         await navigator.clipboard.writeText(text);
         showToast('برنامه در کلیپ‌بورد کپی شد', 'success');
@@ -942,14 +6230,202 @@ async function copyToClipboard() {
     }
 }
 
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line to at most 75 octets (RFC 5545 §3.1)
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a local date and HH:MM time as an iCalendar local date-time
+ */
+function formatIcsDateTime(date, time) {
+    const [hours, minutes = 0] = time.split(':').map(Number);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(hours)}${pad(minutes)}00`;
+}
+
+/**
+ * Format a UTC instant as an iCalendar UTC date-time
+ */
+function formatIcsUtc(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * First date on or after `from` that falls on the given Persian weekday
+ */
+function firstWeekdayOnOrAfter(from, persianDay) {
+    const date = new Date(from);
+    const target = CONFIG.WEEKDAY_INDEX[persianDay];
+    date.setDate(date.getDate() + ((target - date.getDay() + 7) % 7));
+    return date;
+}
+
+/**
+ * 1-based semester week of a date; weeks run Saturday to Friday
+ * and week 1 is the one containing the semester start
+ */
+function getSemesterWeekNumber(date, semesterStart) {
+    const weekStart = new Date(semesterStart);
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 1) % 7));
+    const days = Math.round((date - weekStart) / (24 * 60 * 60 * 1000));
+    return Math.floor(days / 7) + 1;
+}
+
+/**
+ * Date of the first session of a slot on or after the semester start;
+ * alternating sessions start in the first week of their parity
+ */
+function getFirstMeetingDate(slot, semesterStart) {
+    const date = firstWeekdayOnOrAfter(semesterStart, slot.day);
+    const isOddWeek = getSemesterWeekNumber(date, semesterStart) % 2 === 1;
+    if ((slot.parity === 'odd' && !isOddWeek) || (slot.parity === 'even' && isOddWeek)) {
+        date.setDate(date.getDate() + 7);
+    }
+    return date;
+}
+
+/**
+ * Build an iCalendar document with weekly recurring events for the selection and busy blocks.
+ * Class sessions falling on semester holidays are left out with EXDATE.
+ */
+function buildIcsCalendar(courses, calendar, busyBlocks = []) {
+    const { start: startDate, end: endDate } = calendar;
+    
+    // RRULE UNTIL must be UTC when DTSTART carries a TZID
+    const untilUtc = Date.UTC(endDate.getFullYear(), endDate.getMonth(), endDate.getDate(), 23, 59, 59) -
+        CONFIG.ICS_UTC_OFFSET_MINUTES * 60 * 1000;
+    const stamp = formatIcsUtc(Date.now());
+    
+    const offset = CONFIG.ICS_UTC_OFFSET_MINUTES;
+    const offsetText = `+${String(Math.floor(offset / 60)).padStart(2, '0')}${String(offset % 60).padStart(2, '0')}`;
+    
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//University Course Scheduler//FA',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-TIMEZONE:${CONFIG.ICS_TIMEZONE}`,
+        'BEGIN:VTIMEZONE',
+        `TZID:${CONFIG.ICS_TIMEZONE}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${offsetText}`,
+        `TZOFFSETTO:${offsetText}`,
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+    
+    const addEvents = (uid, schedule, summary, description, skipHolidays) => {
+        schedule.forEach((slot, index) => {
+            const firstDate = getFirstMeetingDate(slot, startDate);
+            if (firstDate > endDate) return;
+            
+            const cancelled = skipHolidays
+                ? getMeetingDates([slot], calendar).filter(meeting => meeting.holiday)
+                : [];
+            
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${uid}-${index}@university-scheduler`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;TZID=${CONFIG.ICS_TIMEZONE}:${formatIcsDateTime(firstDate, slot.start)}`,
+                `DTEND;TZID=${CONFIG.ICS_TIMEZONE}:${formatIcsDateTime(firstDate, slot.end)}`,
+                `RRULE:FREQ=WEEKLY;${slot.parity ? 'INTERVAL=2;' : ''}UNTIL=${formatIcsUtc(untilUtc)}`,
+                ...cancelled.map(meeting =>
+                    `EXDATE;TZID=${CONFIG.ICS_TIMEZONE}:${formatIcsDateTime(meeting.date, slot.start)}`),
+                `SUMMARY:${escapeIcsText(summary)}`,
+                `DESCRIPTION:${escapeIcsText(description)}`,
+                'END:VEVENT'
+            );
+        });
+    };
+    
+    courses.forEach(course => {
+        addEvents(getCourseId(course), course.schedule, course.name,
+            `کد: ${course.code}\nاستاد: ${course.professor}\nگروه: ${course.group}\nواحد: ${course.units}`, true);
+    });
+    // Busy blocks are the student's own commitments and keep running through university holidays
+    busyBlocks.forEach(block => addEvents(block.id, block.schedule, block.name, 'زمان مشغول', false));
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export selected courses as an iCalendar (.ics) file
+ */
+function exportICS() {
+    if (!updateSemesterDates()) return;
+    
+    const calendar = getSemesterCalendar();
+    if (!calendar) {
+        showToast('تاریخ شروع و پایان ترم را درست وارد کنید', 'warning');
+        return;
+    }
+    
+    try {
+        const courses = getDisplayedCourseIds().map(findCourseById).filter(Boolean);
+        const blob = new Blob([buildIcsCalendar(courses, calendar, getDisplayedBusyBlocks())], { type: 'text/calendar;charset=utf-8' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'schedule.ics';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+        
+        closeAllModals();
+        showToast('فایل تقویم با موفقیت دانلود شد', 'success');
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        showToast('خطا در تهیه فایل تقویم', 'error');
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // TOAST NOTIFICATIONS
 // ═══════════════════════════════════════════════════════════════
 
 /**
  * Show toast notification
+ * @param {{label: string, onClick: Function}|null} action - Optional button inside the toast
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', action = null) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     
@@ -963,9 +6439,18 @@ function showToast(message, type = 'info') {
     toast.innerHTML = `
         <span class="toast-icon">${icons[type]}</span>
         <span class="toast-message">${message}</span>
+        ${action ? `<button class="toast-action">${action.label}</button>` : ''}
     `;
     
+    if (action) {
+        toast.querySelector('.toast-action').addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+    }
+    
     elements.toastContainer.appendChild(toast);
+    announce(message);
     
     setTimeout(() => {
         toast.classList.add('removing');
@@ -975,6 +6460,251 @@ function showToast(message, type = 'info') {
     }, CONFIG.TOAST_DURATION);
 }
 
+// ═══════════════════════════════════════════════════════════════
+// KEYBOARD NAVIGATION & ACCESSIBILITY
+// ═══════════════════════════════════════════════════════════════
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Read a message out through the live region
+ */
+function announce(message) {
+    // Clear first so repeating the same message is announced again
+    elements.liveRegion.textContent = '';
+    setTimeout(() => {
+        elements.liveRegion.textContent = message;
+    }, 50);
+}
+
+/**
+ * Highlight a search result for keyboard selection (-1 clears)
+ */
+function setActiveResult(index) {
+    const options = elements.resultsList.querySelectorAll('.course-result');
+    state.activeResultIndex = index;
+    
+    options.forEach((option, i) => {
+        option.classList.toggle('keyboard-active', i === index);
+        option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+    });
+    
+    if (index >= 0 && options[index]) {
+        elements.searchInput.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+        elements.searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Arrow keys, Enter and Escape inside the search box
+ */
+function handleSearchKeydown(e) {
+    const count = elements.resultsList.querySelectorAll('.course-result').length;
+    const isOpen = elements.searchResults.classList.contains('active');
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!isOpen) {
+            showSearchResults(!elements.searchInput.value.trim());
+            return;
+        }
+        if (count === 0) return;
+        
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveResult((state.activeResultIndex + step + count) % count);
+    } else if (e.key === 'Enter' && isOpen && state.activeResultIndex >= 0) {
+        e.preventDefault();
+        const option = elements.resultsList.querySelectorAll('.course-result')[state.activeResultIndex];
+        if (state.selectedCourses.includes(option.dataset.courseId)) {
+            showToast('این درس قبلاً اضافه شده است', 'warning');
+        } else {
+            addCourse(option.dataset.courseId);
+        }
+    } else if (e.key === 'Escape' && isOpen) {
+        // Close only the dropdown; keep focus in the box
+        e.stopPropagation();
+        elements.searchResults.classList.remove('active');
+        elements.searchInput.setAttribute('aria-expanded', 'false');
+        setActiveResult(-1);
+    }
+}
+
+/**
+ * Describe a grid cell for screen readers: day, hour and the classes covering it
+ */
+function describeGridCell(day, hour) {
+    const names = [];
+    getDisplayedCourseIds().forEach(courseId => {
+        const course = findCourseById(courseId);
+        if (!course) return;
+        course.schedule.forEach(slot => {
+            if (slot.day === day && parseTime(slot.start) < hour + 1 && parseTime(slot.end) > hour) {
+                names.push(course.name + getParityLabel(slot));
+            }
+        });
+    });
+    getDisplayedBusyBlocks().forEach(block => {
+        block.schedule.forEach(slot => {
+            if (slot.day === day && parseTime(slot.start) < hour + 1 && parseTime(slot.end) > hour) {
+                names.push(`${block.name} (مشغول)`);
+            }
+        });
+    });
+    
+    return `${day}، ساعت ${toPersianNumber(hour)}: ${names.length > 0 ? names.join('، ') : 'خالی'}`;
+}
+
+/**
+ * The element that receives focus for a grid position: the first block starting there, else the cell
+ */
+function getGridFocusTarget(day, hour) {
+    const cell = elements.scheduleBody.querySelector(`tr[data-day="${day}"] td[data-hour="${hour}"]`);
+    if (!cell) return null;
+    return cell.querySelector('.course-block') || cell;
+}
+
+/**
+ * Refresh cell labels and put the single tab stop on the focused cell or its block
+ */
+function updateGridAccessibility() {
+    elements.scheduleBody.querySelectorAll('td[data-hour]').forEach(cell => {
+        cell.setAttribute('aria-label', describeGridCell(cell.dataset.day, Number(cell.dataset.hour)));
+        cell.tabIndex = -1;
+    });
+    
+    if (!state.gridFocus) return;
+    const target = getGridFocusTarget(state.gridFocus.day, state.gridFocus.hour);
+    if (target) target.tabIndex = 0;
+}
+
+/**
+ * Move the roving tab stop to a grid position and focus it
+ */
+function focusGridPosition(day, hour) {
+    elements.scheduleBody.querySelectorAll('[tabindex="0"]').forEach(el => {
+        el.tabIndex = -1;
+    });
+    
+    state.gridFocus = { day, hour };
+    const target = getGridFocusTarget(day, hour);
+    if (!target) return;
+    target.tabIndex = 0;
+    target.focus();
+}
+
+/**
+ * Arrow-key navigation across the grid (RTL: left moves to later hours)
+ * Enter opens a focused block's details (or adds a busy block on an empty cell), Delete removes it
+ */
+function handleGridKeydown(e) {
+    const cell = e.target.closest('td[data-hour]');
+    if (!cell) return;
+    
+    const block = e.target.classList.contains('course-block') ? e.target : null;
+    const dayIndex = CONFIG.DAYS.indexOf(cell.dataset.day);
+    const hourIndex = state.gridHours.indexOf(Number(cell.dataset.hour));
+    const moves = {
+        ArrowUp: [-1, 0],
+        ArrowDown: [1, 0],
+        ArrowLeft: [0, 1],
+        ArrowRight: [0, -1]
+    };
+    
+    if (moves[e.key]) {
+        e.preventDefault();
+        const [dDay, dHour] = moves[e.key];
+        const nextDay = CONFIG.DAYS[Math.min(Math.max(dayIndex + dDay, 0), CONFIG.DAYS.length - 1)];
+        const nextHour = state.gridHours[Math.min(Math.max(hourIndex + dHour, 0), state.gridHours.length - 1)];
+        focusGridPosition(nextDay, nextHour);
+    } else if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        const hour = e.key === 'Home' ? state.gridHours[0] : state.gridHours[state.gridHours.length - 1];
+        focusGridPosition(cell.dataset.day, hour);
+    } else if (block && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        if (block.dataset.busyId) {
+            showBusyModal(block.dataset.busyId);
+        } else {
+            showCourseModal(findCourseById(block.dataset.courseId));
+        }
+    } else if (!block && e.key === 'Enter') {
+        e.preventDefault();
+        showBusyModal(null, { day: cell.dataset.day, hour: Number(cell.dataset.hour) });
+    } else if (block && e.key === 'Delete') {
+        e.preventDefault();
+        if (block.dataset.busyId) {
+            deleteBusyBlock(block.dataset.busyId);
+        } else {
+            removeCourse(block.dataset.courseId);
+        }
+        focusGridPosition(cell.dataset.day, Number(cell.dataset.hour));
+    }
+}
+
+/**
+ * The open modal on top, if any
+ */
+function getActiveModal() {
+    const open = document.querySelectorAll('.modal-overlay.active');
+    return open.length > 0 ? open[open.length - 1] : null;
+}
+
+/**
+ * Keep Tab / Shift+Tab inside the open modal
+ */
+function trapModalFocus(e) {
+    const modal = getActiveModal();
+    if (!modal) return;
+    
+    const focusable = [...modal.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => el.offsetParent !== null);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!modal.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Move focus into modals when they open and back to the opener when they close
+ */
+function setupModalFocus() {
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(({ target }) => {
+            const isOpen = target.classList.contains('active');
+            if (isOpen && !target.contains(document.activeElement)) {
+                // Stacked modals return to the element that opened the first one
+                state.modalReturnFocus = state.modalReturnFocus || document.activeElement;
+                const body = target.querySelector('.modal-body');
+                const first = (body && body.querySelector(FOCUSABLE_SELECTOR)) || target.querySelector(FOCUSABLE_SELECTOR);
+                if (first) first.focus();
+            } else if (!isOpen && !getActiveModal() && state.modalReturnFocus) {
+                if (document.body.contains(state.modalReturnFocus)) {
+                    state.modalReturnFocus.focus();
+                }
+                state.modalReturnFocus = null;
+            }
+        });
+    });
+    
+    document.querySelectorAll('.modal-overlay').forEach(modal => {
+        observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+    });
+}
+
 // ═══════════════════════════════════════════════════════════════
 // THEME MANAGEMENT
 // ═══════════════════════════════════════════════════════════════
@@ -1035,6 +6765,20 @@ function setupEventListeners() {
     });
     
     elements.searchInput.addEventListener('blur', hideSearchResults);
+    elements.searchInput.addEventListener('keydown', handleSearchKeydown);
+    
+    // Search facets
+    elements.btnToggleFilters.addEventListener('click', () => {
+        elements.searchFilters.classList.toggle('hidden');
+        elements.btnToggleFilters.setAttribute('aria-expanded', String(!elements.searchFilters.classList.contains('hidden')));
+    });
+    
+    // Facet changes keep the dropdown open; close it on clicks elsewhere
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-container') && document.activeElement !== elements.searchInput) {
+            elements.searchResults.classList.remove('active');
+        }
+    });
     
     // Clear search button
     elements.searchClear.addEventListener('click', () => {
@@ -1051,8 +6795,79 @@ function setupEventListeners() {
     });
     
     elements.btnCopyTable.addEventListener('click', copyToClipboard);
-    elements.btnExportPDF.addEventListener('click', exportPDF);
+    elements.btnExportPDF.addEventListener('click', showPdfModal);
+    elements.btnDownloadPDF.addEventListener('click', exportPDF);
+    elements.btnExportICS.addEventListener('click', showSemesterModal);
+    elements.btnDownloadICS.addEventListener('click', exportICS);
+    [elements.semesterStart, elements.semesterEnd, elements.midtermStart, elements.midtermEnd].forEach(input => {
+        input.addEventListener('change', updateSemesterDates);
+    });
+    elements.semesterMonth.addEventListener('click', (e) => {
+        const step = e.target.closest('[data-month-step]');
+        const day = e.target.closest('[data-date]');
+        if (step) {
+            shiftCalendarMonth(Number(step.dataset.monthStep));
+        } else if (day) {
+            toggleSemesterHoliday(day.dataset.date);
+        }
+    });
     elements.btnReset.addEventListener('click', resetSchedule);
+    elements.btnGenerate.addEventListener('click', showGeneratorModal);
+    elements.btnPreferences.addEventListener('click', showPreferencesModal);
+    
+    // Academic standing
+    elements.unitStatus.addEventListener('click', showStandingModal);
+    elements.btnSaveStanding.addEventListener('click', saveStanding);
+    
+    // Passed courses
+    elements.btnPassedCourses.addEventListener('click', showPassedModal);
+    elements.btnAddPassedCode.addEventListener('click', addPassedCode);
+    elements.passedCodeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addPassedCode();
+    });
+    
+    // Schedule views
+    elements.btnViewWeekly.addEventListener('click', () => setScheduleView('weekly'));
+    elements.btnViewExams.addEventListener('click', () => setScheduleView('exams'));
+    
+    // Statistics dashboard
+    elements.statsGroupBy.addEventListener('change', () => {
+        state.statsGroupBy = elements.statsGroupBy.value;
+        renderStatsDashboard();
+    });
+    
+    // Drafts
+    elements.btnNewDraft.addEventListener('click', newDraft);
+    elements.btnRenameDraft.addEventListener('click', renameDraft);
+    elements.btnDuplicateDraft.addEventListener('click', duplicateDraft);
+    elements.btnDeleteDraft.addEventListener('click', deleteDraft);
+    elements.btnCompareDrafts.addEventListener('click', showCompareModal);
+    elements.compareLeft.addEventListener('change', renderDraftComparison);
+    elements.compareRight.addEventListener('change', renderDraftComparison);
+    
+    // Share links
+    elements.btnShare.addEventListener('click', shareSchedule);
+    elements.btnImportShared.addEventListener('click', importSharedSchedule);
+    elements.btnCloseShared.addEventListener('click', closeSharedView);
+    window.addEventListener('hashchange', loadSharedFromUrl);
+    
+    // Catalog import
+    elements.btnImport.addEventListener('click', showImportModal);
+    elements.btnConfirmImport.addEventListener('click', confirmImport);
+    elements.btnResetCatalog.addEventListener('click', resetImportedCatalog);
+    setupImportDropZone();
+    elements.btnSavePreferences.addEventListener('click', applyPreferences);
+    
+    elements.btnCloseDiagnostics.addEventListener('click', () => {
+        elements.diagnosticsPanel.classList.add('hidden');
+    });
+    
+    // Generator preview controls
+    elements.btnRunGenerator.addEventListener('click', runGenerator);
+    elements.btnGeneratorPrev.addEventListener('click', () => stepGeneratorPreview(-1));
+    elements.btnGeneratorNext.addEventListener('click', () => stepGeneratorPreview(1));
+    elements.btnGeneratorApply.addEventListener('click', applyGeneratedSchedule);
+    elements.btnGeneratorCancel.addEventListener('click', exitGeneratorPreview);
     
     // Theme toggle
     elements.themeToggle.addEventListener('click', toggleTheme);
@@ -1064,6 +6879,44 @@ function setupEventListeners() {
     elements.btnCloseListModal.addEventListener('click', closeAllModals);
     elements.closeConflictModal.addEventListener('click', closeAllModals);
     elements.btnCloseConflictModal.addEventListener('click', closeAllModals);
+    elements.closeGeneratorModal.addEventListener('click', closeAllModals);
+    elements.btnCloseGeneratorModal.addEventListener('click', closeAllModals);
+    elements.closeStandingModal.addEventListener('click', closeAllModals);
+    elements.btnCloseStandingModal.addEventListener('click', closeAllModals);
+    elements.closePassedModal.addEventListener('click', closeAllModals);
+    elements.btnClosePassedModal.addEventListener('click', closeAllModals);
+    
+    // Professor directory
+    elements.btnProfessors.addEventListener('click', () => showProfessorModal());
+    elements.professorSearch.addEventListener('input', renderProfessorList);
+    elements.professorFilterChip.addEventListener('click', () => setProfessorFilter(''));
+    elements.closeProfessorModal.addEventListener('click', closeAllModals);
+    elements.btnCloseProfessorModal.addEventListener('click', closeAllModals);
+    
+    // Busy blocks
+    elements.btnAddBusy.addEventListener('click', () => showBusyModal());
+    elements.btnSaveBusy.addEventListener('click', submitBusyBlock);
+    elements.btnDeleteBusy.addEventListener('click', () => deleteBusyBlock(state.editingBusyId));
+    elements.closeBusyModal.addEventListener('click', closeAllModals);
+    elements.btnCloseBusyModal.addEventListener('click', closeAllModals);
+    elements.scheduleBody.addEventListener('dblclick', handleGridDoubleClick);
+    
+    // PDF export modal
+    elements.closePdfModal.addEventListener('click', closeAllModals);
+    elements.btnClosePdfModal.addEventListener('click', closeAllModals);
+    
+    // Catalog changes modal
+    elements.closeChangesModal.addEventListener('click', closeAllModals);
+    elements.btnCloseChangesModal.addEventListener('click', closeAllModals);
+    elements.btnAcceptAllChanges.addEventListener('click', acceptAllCatalogChanges);
+    elements.closeCompareModal.addEventListener('click', closeAllModals);
+    elements.btnCloseCompareModal.addEventListener('click', closeAllModals);
+    elements.closeSemesterModal.addEventListener('click', closeAllModals);
+    elements.btnCloseSemesterModal.addEventListener('click', closeAllModals);
+    elements.closeImportModal.addEventListener('click', closeAllModals);
+    elements.btnCloseImportModal.addEventListener('click', closeAllModals);
+    elements.closePreferencesModal.addEventListener('click', closeAllModals);
+    elements.btnClosePreferencesModal.addEventListener('click', closeAllModals);
     
     // Remove course button
     elements.btnRemoveCourse.addEventListener('click', () => {
@@ -1081,10 +6934,33 @@ function setupEventListeners() {
         });
     });
     
+    // Connection changes update the catalog indicator
+    window.addEventListener('online', renderCatalogStatus);
+    window.addEventListener('offline', renderCatalogStatus);
+    
+    // Grid navigation and modal focus
+    elements.scheduleBody.addEventListener('keydown', handleGridKeydown);
+    elements.scheduleBody.addEventListener('focusin', (e) => {
+        const cell = e.target.closest('td[data-hour]');
+        if (cell) state.gridFocus = { day: cell.dataset.day, hour: Number(cell.dataset.hour) };
+    });
+    setupModalFocus();
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closeAllModals();
+        } else if (e.key === 'Tab') {
+            trapModalFocus(e);
+        } else if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+            // Leave text fields their own undo
+            if (e.target.matches('input, textarea, select')) return;
+            e.preventDefault();
+            if (e.code === 'KeyY' || e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
         }
     });
 }
@@ -1112,13 +6988,28 @@ async function init() {
     initializeScheduleTable();
     initializeFooter();
     loadTheme();
+    loadPreferences();
+    loadSemester();
+    loadStudent();
+    loadPassedCourses();
+    loadStanding();
     
     // Load data
     await loadCourses();
+    renderSearchFilters();
+    loadCourseSnapshots();
     loadFromStorage();
+    loadHistory();
+    loadSharedFromUrl();
+    
+    // Report what changed in the catalog since courses were added, then snapshot new ones
+    renderCatalogChanges();
+    syncCourseSnapshots();
+    notifyFullSelections();
     
     // Setup event listeners
     setupEventListeners();
+    registerServiceWorker();
     
     console.log('Initialization complete!');
 }
@@ -0,0 +1,103 @@
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * UNIVERSITY COURSE SCHEDULER - SERVICE WORKER
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Keeps the app usable offline:
+ * - App shell, export libraries and fonts are precached
+ * - The course file is fetched network-first; the last good copy is
+ *   served from cache (marked with a header) when the network fails
+ */
+
+// Bump when any precached file changes
+const CACHE_NAME = 'unit-selection-v2';
+const COURSES_FILE = 'data/courses.txt';
+const FROM_CACHE_HEADER = 'X-Served-From-Cache';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'lib/jspdf.umd.min.js',
+    'fonts/Vazirmatn-Variable.woff2',
+    'fonts/Vazirmatn-Regular.ttf',
+    'fonts/Vazirmatn-Bold.ttf',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    COURSES_FILE
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    if (new URL(request.url).pathname.endsWith(COURSES_FILE)) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Fresh course file when online; otherwise the last cached copy, flagged as such
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    
+    try {
+        const response = await fetch(request, { cache: 'no-store' });
+        if (response.ok) {
+            await cache.put(COURSES_FILE, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(COURSES_FILE);
+        if (!cached) throw error;
+        
+        const headers = new Headers(cached.headers);
+        headers.set(FROM_CACHE_HEADER, 'true');
+        return new Response(await cached.blob(), { status: 200, headers });
+    }
+}
+
+/**
+ * Serve the app shell from cache right away and refresh it in the background
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+    
+    if (cached) {
+        // Keep the worker alive until the cache is refreshed
+        event.waitUntil(refresh.catch(() => null));
+        return cached;
+    }
+    return refresh;
+}